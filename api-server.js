@@ -1,272 +1,482 @@
 const express = require('express');
 const puppeteer = require('puppeteer');
-const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
+const { log, logEvents } = require('./lib/log');
+const { createJobQueue } = require('./lib/job-queue');
+const { createDisplayPool } = require('./lib/display-pool');
+const { toWebVTT } = require('./lib/chapters');
+const { PROFILE_NAMES, DEFAULT_PROFILE, getProfile, outputFilename } = require('./lib/profiles');
+const { DEFAULT_VIDEO, parseVideoSettings, displayGeometry } = require('./lib/video-settings');
+const { sleep } = require('./lib/sleep');
+const { parseTimings, validateTimings, parseTailHold } = require('./lib/timings');
+const { SOURCE_NAMES, getSource, detectSource, checkDeckUrl } = require('./lib/sources');
+const { SESSION_NAME_PATTERN, normalizeCookies, createSessionStore } = require('./lib/sessions');
+const { TTS_PROVIDER_NAMES, DEFAULT_TTS_PROVIDER, getTtsProvider } = require('./lib/tts');
+const { deliverWebhook } = require('./lib/webhooks');
+const { MJPEG_BOUNDARY, grabFrame, streamFrames } = require('./lib/preview');
+const { checkDependencies, inspectDeck, recordDeck } = require('./lib/recorder');
+const { createRecordingStore, parseRecordingQuery } = require('./lib/recording-store');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
 // Configuration
-const DISPLAY_NUM = ':99';
-const RESOLUTION = '1920x1080';
+// Each concurrent job gets its own Xvfb display, counting up from DISPLAY_BASE
+const DISPLAY_BASE = parseInt(process.env.DISPLAY_BASE, 10) || 99;
+const MAX_CONCURRENT_RECORDINGS = parseInt(process.env.MAX_CONCURRENT_RECORDINGS, 10) || 2;
+// Inspections get displays of their own so they never starve a queued recording
+const MAX_CONCURRENT_INSPECTIONS = 1;
+// Inspection thumbnails are served from the recordings dir, and may show
+// private decks, so they are deleted this long after they were made
+const INSPECTION_TTL = 60 * 60 * 1000;
+const INSPECTION_SWEEP_INTERVAL = 10 * 60 * 1000;
 const RECORDINGS_DIR = 'recordings';
+// Kept beside (not inside) the recordings dir so it is never served statically
+const JOBS_FILE = path.join(path.dirname(path.resolve(RECORDINGS_DIR)), 'recording-jobs.json');
+// Metadata of every recording, searched by GET /recordings
+const RECORDINGS_DB = path.join(path.dirname(path.resolve(RECORDINGS_DIR)), 'recordings.jsonl');
+const UPLOADS_DIR = path.join(path.dirname(path.resolve(RECORDINGS_DIR)), 'uploads');
+// Intermediate captures waiting to be encoded to their delivery profile
+const WORK_DIR = path.join(path.dirname(path.resolve(RECORDINGS_DIR)), 'recording-work');
+// Signed-in browser sessions; these are credentials and must never be served
+const SESSIONS_DIR = path.join(path.dirname(path.resolve(RECORDINGS_DIR)), 'sessions');
+// Where an interactive session capture starts, and how long its window may stay open
+const SIGN_IN_URL = 'https://accounts.google.com/';
+const SESSION_LOGIN_TIMEOUT = 15 * 60 * 1000;
+const MAX_UPLOAD_SIZE = 500 * 1024 * 1024;
+const MAX_SLIDE_CLIPS = 500;
+// Live previews of a recording's display: frames a second (default and most)
+// and width of the MJPEG stream, and how many streams may run at once since
+// each is an ffmpeg grabbing beside the capture
+const PREVIEW_FPS = 2;
+const MAX_PREVIEW_FPS = 5;
+const PREVIEW_WIDTH = 960;
+const MAX_PREVIEW_STREAMS = 4;
+// Comment lines sent down idle event streams so proxies keep them open
+const EVENT_STREAM_HEARTBEAT = 15000;
+// How a recording is captured: ffmpeg grabbing an Xvfb display, or frames
+// taken from headless Chrome and timed exactly (no display, no audio)
+const CAPTURE_MODES = ['x11grab', 'screencast'];
+const DEFAULT_CAPTURE_MODE = 'x11grab';
+// Signs callbackUrl deliveries; requests with a callbackUrl are refused without it
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
 
 app.use(express.json());
-app.use('/recordings', express.static(RECORDINGS_DIR));
+// The browser UI; index: false leaves GET / to the API description
+app.use(express.static(path.join(__dirname, 'public'), { index: false }));
+// redirect: false so GET /recordings reaches the listing route instead of a directory redirect
+app.use('/recordings', express.static(RECORDINGS_DIR, { redirect: false }));
 
-// Ensure recordings directory exists
+// Narration audio (one track, or one clip per slide) and PDF/PPTX decks
+// arrive as multipart/form-data
+const upload = multer({
+    dest: UPLOADS_DIR,
+    limits: { fileSize: MAX_UPLOAD_SIZE },
+    fileFilter: (req, file, cb) => {
+        if (file.fieldname === 'deck') {
+            return detectSource({ upload: file }) ? cb(null, true) : cb(new Error('deck must be a PDF or PPTX file'));
+        }
+        if (!file.mimetype.startsWith('audio/') && !file.mimetype.startsWith('video/')) {
+            return cb(new Error(`${file.fieldname} must be an audio file`));
+        }
+        cb(null, true);
+    }
+});
+
+// Ensure recordings, upload and work directories exist
 if (!fs.existsSync(RECORDINGS_DIR)) {
     fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
 }
+if (!fs.existsSync(UPLOADS_DIR)) {
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+}
+if (!fs.existsSync(WORK_DIR)) {
+    fs.mkdirSync(WORK_DIR, { recursive: true });
+}
+if (!fs.existsSync(SESSIONS_DIR)) {
+    fs.mkdirSync(SESSIONS_DIR, { recursive: true, mode: 0o700 });
+}
 
-// Global process tracking
-let xvfbProcess = null;
-let wmProcess = null;
+const displayPool = createDisplayPool({ base: DISPLAY_BASE, size: MAX_CONCURRENT_RECORDINGS + MAX_CONCURRENT_INSPECTIONS });
+let activeInspections = 0;
+const sessionStore = createSessionStore({ dir: SESSIONS_DIR });
+// Sessions with a sign-in window open right now
+const capturingSessions = new Set();
+// Displays of recordings whose browser is open, by job id, for live previews.
+// Aborting controller ends the preview streams watching it.
+const liveDisplays = new Map();
+let activePreviewStreams = 0;
 
 // Utility functions
-const log = (level, message) => {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] [${level}] ${message}`);
+const uploadsOf = (job) => {
+    const { narration, deck } = job.params;
+    const slideAudio = job.params.slideAudio || [];
+    const files = slideAudio.map(clip => clip.path);
+    if (narration) files.push(narration.path);
+    if (deck) files.push(deck.path);
+    return files;
 };
 
-const checkDependencies = () => {
-    const deps = ['xvfb-run', 'google-chrome', 'ffmpeg', 'node'];
-    const missing = deps.filter(dep => {
-        try {
-            require('child_process').execSync(`which ${dep}`, { stdio: 'ignore' });
-            return false;
-        } catch {
-            return true;
-        }
-    });
-    return missing;
+const removeUploads = (job) => {
+    uploadsOf(job).filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
 };
 
-const startXvfb = () => {
-    return new Promise((resolve, reject) => {
-        log('INFO', 'Starting virtual display...');
-        
-        // Kill existing Xvfb
-        try {
-            require('child_process').execSync(`pkill -f "Xvfb ${DISPLAY_NUM}"`, { stdio: 'ignore' });
-        } catch {}
-        
-        // Start Xvfb
-        xvfbProcess = spawn('Xvfb', [
-            DISPLAY_NUM,
-            '-screen', '0', `${RESOLUTION}x24`,
-            '-ac',
-            '+extension', 'GLX',
-            '+extension', 'RANDR',
-            '+extension', 'RENDER',
-            '-noreset',
-            '-dpi', '96',
-            '-fbdir', '/tmp'
-        ]);
+// Container for each kind of file the recordings listing reports
+const RECORDING_EXTENSIONS = { '.mp4': 'mp4', '.webm': 'webm', '.gif': 'gif', '.m3u8': 'hls' };
 
-        xvfbProcess.on('error', reject);
-        
-        setTimeout(() => {
-            if (xvfbProcess && !xvfbProcess.killed) {
-                log('SUCCESS', `Virtual display started (PID: ${xvfbProcess.pid})`);
-                
-                // Start window manager
-                process.env.DISPLAY = DISPLAY_NUM;
-                try {
-                    wmProcess = spawn('fluxbox', [], { env: { ...process.env, DISPLAY: DISPLAY_NUM } });
-                    log('INFO', 'Started Fluxbox window manager');
-                } catch {
-                    try {
-                        wmProcess = spawn('openbox', [], { env: { ...process.env, DISPLAY: DISPLAY_NUM } });
-                        log('INFO', 'Started Openbox window manager');
-                    } catch {}
-                }
-                
-                resolve();
-            } else {
-                reject(new Error('Failed to start virtual display'));
-            }
-        }, 3000);
+// HLS output is a directory of segments, so its size is summed recursively
+const sizeOf = (target) => {
+    const stats = fs.statSync(target);
+    if (!stats.isDirectory()) return stats.size;
+    return fs.readdirSync(target).reduce((sum, entry) => sum + sizeOf(path.join(target, entry)), 0);
+};
+
+// Slide index sidecars written next to each recording
+const sidecarFilenames = (recordingId) => ({
+    json: `slideshow_${recordingId}.slides.json`,
+    vtt: `slideshow_${recordingId}.slides.vtt`
+});
+
+// Remove a recording (and its sidecars) given its filename relative to RECORDINGS_DIR
+const removeOutput = (filename) => {
+    const entry = filename.split('/')[0];
+    const baseName = entry.replace(/\.[^.]+$/, '');
+    [entry, `${baseName}.slides.json`, `${baseName}.slides.vtt`].forEach(target => {
+        fs.rmSync(path.join(RECORDINGS_DIR, target), { recursive: true, force: true });
     });
 };
 
-const stopXvfb = () => {
-    if (wmProcess) {
-        log('INFO', 'Stopping window manager...');
-        wmProcess.kill();
-        wmProcess = null;
-    }
+// Returns an error message unless name is empty or a session ready to use
+const checkSessionName = (name) => {
+    if (!name) return null;
+    if (capturingSessions.has(name)) return `Session ${name} is still being captured`;
+    if (!sessionStore.get(name)) return `Unknown session ${name}. See GET /sessions.`;
+    return null;
+};
+
+// Open an ordinary Chrome window on the server's own desktop so someone can
+// sign in once. The session is ready when the window is closed, or when the
+// time limit closes it.
+const captureSession = async (name) => {
+    capturingSessions.add(name);
+    const userDataDir = sessionStore.startCapture(name);
     
-    if (xvfbProcess) {
-        log('INFO', 'Stopping virtual display...');
-        xvfbProcess.kill();
-        xvfbProcess = null;
+    try {
+        const browser = await puppeteer.launch({
+            headless: false,
+            executablePath: 'google-chrome',
+            userDataDir,
+            defaultViewport: null,
+            // Google refuses to sign in to a browser that says it is automated
+            ignoreDefaultArgs: ['--enable-automation'],
+            args: ['--no-first-run', '--no-default-browser-check', '--disable-blink-features=AutomationControlled']
+        });
+        const timer = setTimeout(() => browser.close(), SESSION_LOGIN_TIMEOUT);
+        browser.once('disconnected', () => {
+            clearTimeout(timer);
+            capturingSessions.delete(name);
+            sessionStore.finishCapture(name);
+        });
+        
+        const [page] = await browser.pages();
+        await page.goto(SIGN_IN_URL);
+        log('INFO', `Sign-in window for session ${name} open on ${process.env.DISPLAY}`);
+    } catch (error) {
+        capturingSessions.delete(name);
+        throw error;
     }
 };
 
-const convertToPresentUrl = (url) => {
-    if (url.includes('/present')) return url;
-    return url.replace('/edit', '/present').replace('#', '/present#');
+// The source adapter a request named, or the one its URL or upload points to.
+// Returns { source } or { error }.
+const resolveSource = ({ name, url, upload }) => {
+    const urlError = checkDeckUrl(url);
+    if (urlError) {
+        return { error: urlError };
+    }
+    const detected = name || detectSource({ url, upload });
+    const source = getSource(detected);
+    if (!source) {
+        return { error: name
+            ? `Invalid source. Choose one of: ${SOURCE_NAMES.join(', ')}`
+            : 'Could not tell what kind of deck this is. Name it with source.' };
+    }
+    if (source.input === 'url' && !url) {
+        return { error: `The ${source.name} source needs a slideUrl` };
+    }
+    if (source.input === 'file' && !upload) {
+        return { error: `The ${source.name} source needs an uploaded deck file` };
+    }
+    return { source };
 };
 
-const recordSlideshow = async (slideUrl, timings, outputPath) => {
-    let browser;
-    let ffmpegProcess;
+// A private copy of a stored session in the work directory
+const checkoutSession = (name, workName) => {
+    if (!sessionStore.get(name)) {
+        throw new Error(`Session ${name} no longer exists`);
+    }
+    log('INFO', `Using session ${name}`);
+    return sessionStore.checkout(name, path.join(WORK_DIR, workName));
+};
+
+const startPreview = (jobId, display, resolution) => {
+    liveDisplays.set(jobId, { display, resolution, controller: new AbortController() });
+};
+
+// Once the browser has closed there is nothing left on the display to watch
+const endPreview = (jobId) => {
+    const live = liveDisplays.get(jobId);
+    if (live) {
+        live.controller.abort();
+        liveDisplays.delete(jobId);
+    }
+};
+
+// Recording worker: runs one queued job from start to finish
+const runRecordingJob = async (job, { signal, setStatus, setProgress, notify }) => {
+    const { slideUrl, deck, narration, slideAudio, notesNarration, trimToAudio, captureAudio, video, profile } = job.params;
+    const source = getSource(job.params.source);
+    const filename = outputFilename(profile, job.id);
+    const outputPath = path.join(RECORDINGS_DIR, filename);
+    // A cancelled recording kept with keepPartial goes out as plain MP4
+    const partialFilename = outputFilename(DEFAULT_PROFILE, job.id);
     
     try {
-        log('INFO', 'Launching Chrome on virtual display...');
+        log('INFO', `Starting recording ${job.id} for: ${deck ? deck.originalName : slideUrl} (${source.label})`);
         
-        browser = await puppeteer.launch({
-            headless: false,
-            executablePath: 'google-chrome',
-            env: { 
-                ...process.env,
-                DISPLAY: DISPLAY_NUM 
+        // The job's own copy of the signed-in session it asked for
+        const browserSession = job.params.session ? checkoutSession(job.params.session, `${job.id}.profile`) : null;
+        
+        const recording = await recordDeck({
+            slideUrl,
+            deckFile: deck ? deck.path : null,
+            source: source.name,
+            timings: job.params.timings,
+            // Clips are kept in upload order, which is slide order
+            slideAudio: slideAudio ? slideAudio.map(clip => clip.path) : null,
+            notesNarration,
+            narration: narration ? narration.path : null,
+            trimToAudio,
+            captureAudio,
+            trimPreRoll: job.params.trimPreRoll,
+            tailHold: job.params.tailHold,
+            display: job.params.captureMode === 'screencast' ? 'headless' : 'xvfb',
+            displayPool,
+            video,
+            profile,
+            outputPath,
+            partialOutputPath: path.join(RECORDINGS_DIR, partialFilename),
+            // The session copy lives under the same prefix, so it goes with the rest
+            workPrefix: path.join(WORK_DIR, job.id),
+            userDataDir: browserSession ? browserSession.userDataDir : null,
+            cookies: browserSession ? browserSession.cookies : [],
+            signal,
+            onStatus: status => {
+                setStatus(status);
+                saveRecord(job);
             },
-            ignoreDefaultArgs: [
-                '--enable-automation',
-                '--enable-blink-features=AutomationControlled'
-            ],
-            args: [
-                '--start-fullscreen',
-                '--kiosk',
-                '--enable-gpu',
-                '--use-gl=swiftshader',
-                '--enable-webgl',
-                '--enable-accelerated-2d-canvas',
-                '--disable-gpu-sandbox',
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-web-security',
-                '--disable-features=VizDisplayCompositor',
-                '--disable-infobars',
-                '--no-first-run',
-                '--disable-extensions',
-                '--disable-background-timer-throttling',
-                '--disable-backgrounding-occluded-windows',
-                '--disable-renderer-backgrounding',
-                '--force-device-scale-factor=1',
-                '--high-dpi-support=1',
-                '--force-color-profile=srgb',
-                '--window-size=1920,1080',
-                '--window-position=0,0',
-                '--disable-blink-features=AutomationControlled',
-                '--disable-ipc-flooding-protection',
-                '--disable-xss-auditor',
-                '--disable-bundled-ppapi-flash',
-                '--disable-plugins-discovery',
-                '--ignore-ssl-errors',
-                '--ignore-certificate-errors',
-                '--ignore-certificate-errors-spki-list',
-                '--ignore-ssl-errors-list',
-                '--disable-default-apps'
-            ]
+            onProgress: setProgress,
+            onTransition: transition => notify('transition', transition),
+            onDisplay: display => (display ? startPreview(job.id, display, displayGeometry(video).resolution) : endPreview(job.id))
         });
-
-        const page = await browser.newPage();
-        await page.setViewport({ width: 1920, height: 1080, deviceScaleFactor: 1 });
-        
-        // Remove automation detection
-        await page.evaluateOnNewDocument(() => {
-            Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
-            Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3, 4, 5] });
-            Object.defineProperty(navigator, 'languages', { get: () => ['en-US', 'en'] });
-            window.chrome = { runtime: {} };
-            Object.defineProperty(navigator, 'permissions', {
-                get: () => ({ query: () => Promise.resolve({ state: 'granted' }) })
-            });
-        });
-        
-        log('INFO', 'Loading presentation...');
-        await page.goto(slideUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
-        await page.waitForTimeout(8000);
         
-        // Check for login requirement
-        const currentUrl = page.url();
-        if (currentUrl.includes('accounts.google.com') || currentUrl.includes('signin')) {
-            throw new Error('Authentication required. Please ensure the presentation is publicly accessible.');
+        if (recording.partial) {
+            log('INFO', `Recording ${job.id} cancelled, kept the partial video`);
+            if (partialFilename !== filename) removeOutput(filename);
+            const stats = fs.statSync(path.join(RECORDINGS_DIR, partialFilename));
+            return {
+                downloadUrl: `/recordings/${partialFilename}`,
+                filename: partialFilename,
+                profile: DEFAULT_PROFILE,
+                container: 'mp4',
+                fileSize: stats.size,
+                fileSizeMB: Math.round(stats.size / 1024 / 1024 * 100) / 100,
+                partial: true
+            };
         }
         
-        // Dismiss popups and enter fullscreen
-        try {
-            await page.keyboard.press('Escape');
-            await page.waitForTimeout(1000);
-            await page.keyboard.press('F5');
-            await page.waitForTimeout(2000);
-        } catch {}
-        
-        log('INFO', 'Starting screen recording...');
-        
-        // Start FFmpeg recording
-        const ffmpegArgs = [
-            '-f', 'x11grab',
-            '-video_size', RESOLUTION,
-            '-framerate', '30',
-            '-i', `${DISPLAY_NUM}.0+0,0`,
-            '-c:v', 'libx264',
-            '-preset', 'medium',
-            '-crf', '20',
-            '-pix_fmt', 'yuv420p',
-            '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
-            '-movflags', '+faststart',
-            '-y',
-            outputPath
-        ];
-        
-        ffmpegProcess = spawn('ffmpeg', ffmpegArgs, { stdio: ['ignore', 'ignore', 'pipe'] });
-        
-        ffmpegProcess.stderr.on('data', (data) => {
-            const output = data.toString().trim();
-            if (output.includes('frame=') || output.includes('time=')) {
-                log('INFO', `Recording: ${output.split(' ').pop()}`);
-            }
-        });
+        // Slide index for players that offer slide navigation
+        const { slides, transitions } = recording;
+        const sidecars = sidecarFilenames(job.id);
+        fs.writeFileSync(path.join(RECORDINGS_DIR, sidecars.json), JSON.stringify({ recordingId: job.id, slides }, null, 2));
+        fs.writeFileSync(path.join(RECORDINGS_DIR, sidecars.vtt), toWebVTT(slides));
         
-        await page.waitForTimeout(3000);
+        const fileSize = sizeOf(path.join(RECORDINGS_DIR, filename.split('/')[0]));
         
-        // Execute slide transitions
-        let currentTime = 0;
-        log('INFO', 'Starting slide transitions...');
+        log('SUCCESS', `Recording completed: ${outputPath}`);
         
-        for (let i = 0; i < timings.length; i++) {
-            const waitTime = (timings[i] - currentTime) * 1000;
-            if (waitTime > 0) {
-                log('INFO', `Waiting ${waitTime/1000}s before advancing to slide ${i + 2}...`);
-                await page.waitForTimeout(waitTime);
-            }
-            
-            await page.keyboard.press('ArrowRight');
-            await page.waitForTimeout(100);
-            
-            log('INFO', `Advanced to slide ${i + 2} at ${timings[i]}s`);
-            currentTime = timings[i];
-        }
+        return {
+            downloadUrl: `/recordings/${filename}`,
+            filename,
+            profile,
+            container: getProfile(profile).container,
+            width: video.width,
+            height: video.height,
+            fps: video.fps || getProfile(profile).fps,
+            duration: Math.round(recording.duration * 1000) / 1000,
+            fileSize,
+            fileSizeMB: Math.round(fileSize / 1024 / 1024 * 100) / 100,
+            slides,
+            transitions,
+            slideIndexUrl: `/recordings/${sidecars.json}`,
+            chaptersUrl: `/recordings/${sidecars.vtt}`
+        };
         
-        log('INFO', 'Recording final slide...');
-        await page.waitForTimeout(5000);
+    } catch (error) {
+        log('ERROR', `Recording ${job.id} failed: ${error.message}`);
         
-    } finally {
-        if (ffmpegProcess && !ffmpegProcess.killed) {
-            log('INFO', 'Stopping screen recording...');
-            ffmpegProcess.kill('SIGTERM');
-            
-            await new Promise(resolve => {
-                const timeout = setTimeout(resolve, 5000);
-                ffmpegProcess.on('close', () => {
-                    clearTimeout(timeout);
-                    resolve();
-                });
-            });
-        }
+        // Cleanup failed or discarded recording
+        removeOutput(filename);
         
-        if (browser) {
-            log('INFO', 'Closing browser...');
-            await browser.close();
+        throw error;
+    } finally {
+        removeUploads(job);
+    }
+};
+
+const jobQueue = createJobQueue({
+    stateFile: JOBS_FILE,
+    worker: runRecordingJob,
+    concurrency: MAX_CONCURRENT_RECORDINGS,
+    onFinish: job => {
+        saveRecord(job);
+        notifyCallback(job);
+    },
+    // Finished jobs live on in the recording store; only those still owed a
+    // callback are needed after a restart
+    retain: job => Boolean(WEBHOOK_SECRET && job.params.callbackUrl) && (!job.webhook || job.webhook.status === 'pending')
+});
+
+const recordingStore = createRecordingStore({ file: RECORDINGS_DB });
+
+// The request a job was queued with, minus server-side upload paths
+const describeRequest = (params) => {
+    const uploadName = upload => (upload ? upload.originalName : null);
+    return {
+        ...params,
+        deck: uploadName(params.deck),
+        narration: uploadName(params.narration),
+        slideAudio: params.slideAudio ? params.slideAudio.map(uploadName) : null
+    };
+};
+
+// A job as the recordings store keeps it: what was recorded and how, and
+// what came of it, without the moment-to-moment progress
+const recordFor = (job) => {
+    const { params } = job;
+    const { video } = params;
+    const result = job.result || {};
+    return {
+        recordingId: job.id,
+        status: job.status,
+        source: {
+            type: params.source,
+            url: params.slideUrl,
+            deck: params.deck ? params.deck.originalName : null
+        },
+        profile: params.profile,
+        container: getProfile(params.profile).container,
+        width: video.width,
+        height: video.height,
+        fps: result.fps || video.fps || null,
+        slideCount: result.slides ? result.slides.length : null,
+        duration: result.duration || null,
+        filename: result.filename || null,
+        downloadUrl: result.downloadUrl || null,
+        fileSize: result.fileSize || null,
+        fileSizeMB: result.fileSizeMB || null,
+        partial: result.partial || undefined,
+        error: job.error || undefined,
+        request: describeRequest(params),
+        created: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+};
+
+const saveRecord = (job) => recordingStore.put(recordFor(job));
+
+// Shape a job for API responses
+const describeJob = (job) => {
+    const { progress } = job;
+    const startedAt = progress.recordingStartedAt ? new Date(progress.recordingStartedAt) : null;
+    const endedAt = job.finishedAt ? new Date(job.finishedAt) : new Date();
+    
+    return {
+        recordingId: job.id,
+        status: job.status,
+        queuePosition: job.status === 'queued' ? jobQueue.position(job.id) + 1 : undefined,
+        progress: {
+            slide: progress.slide || null,
+            totalSlides: progress.totalSlides || null,
+            elapsedSeconds: startedAt ? Math.round((endedAt - startedAt) / 100) / 10 : 0,
+            ffmpegTime: progress.ffmpegTime || null,
+            phases: {
+                capture: { status: progress.captureStatus || 'pending', ffmpegTime: progress.ffmpegTime || null },
+                encode: { status: progress.encodeStatus || 'pending', percent: progress.encodePercent || 0 }
+            }
+        },
+        ...(job.result || {}),
+        error: job.error || undefined,
+        webhook: job.webhook || undefined,
+        created: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+};
+
+// POST how a job ended to its callbackUrl. Delivery state lives on the job,
+// so GET /recording/:id shows every attempt and a restart can resume retries.
+const notifyCallback = async (job) => {
+    const { callbackUrl } = job.params;
+    if (!callbackUrl) return;
+    if (!WEBHOOK_SECRET) {
+        log('WARN', `Not calling back for ${job.id}: WEBHOOK_SECRET is not set`);
+        return;
+    }
+
+    const webhook = job.webhook || { url: callbackUrl, status: 'pending', attempts: [], nextAttemptAt: null };
+    jobQueue.update(job.id, { webhook });
+    if (webhook.nextAttemptAt) {
+        await sleep(Math.max(0, new Date(webhook.nextAttemptAt) - Date.now()));
+    }
+
+    const delivered = await deliverWebhook({
+        url: callbackUrl,
+        payload: { event: `recording.${job.status}`, ...describeJob(job), webhook: undefined },
+        secret: WEBHOOK_SECRET,
+        attemptsSoFar: webhook.attempts.length,
+        onAttempt: (attempt, nextAttemptAt) => {
+            webhook.attempts.push(attempt);
+            webhook.nextAttemptAt = nextAttemptAt;
+            // The recording may have been deleted while a retry was waiting
+            if (jobQueue.get(job.id)) jobQueue.update(job.id, { webhook });
         }
+    });
+
+    webhook.status = delivered ? 'delivered' : 'failed';
+    if (jobQueue.get(job.id)) jobQueue.update(job.id, { webhook });
+};
+
+const checkCallbackUrl = (callbackUrl) => {
+    if (callbackUrl === undefined || callbackUrl === '') return null;
+
+    let url;
+    try {
+        url = new URL(callbackUrl);
+    } catch {
+        return 'Invalid callbackUrl. Must be an http(s) URL.';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return 'Invalid callbackUrl. Must be an http(s) URL.';
     }
+    if (!WEBHOOK_SECRET) {
+        return 'callbackUrl needs WEBHOOK_SECRET to be set on the server';
+    }
+    return null;
 };
 
 // API Routes
@@ -281,143 +491,437 @@ app.get('/health', (req, res) => {
     });
 });
 
-// Start recording
-app.post('/record', async (req, res) => {
-    const { slideUrl, timings } = req.body;
+// Step through a deck before recording it
+app.get('/inspect', async (req, res) => {
+    const { slideUrl, session } = req.query;
+    if (!slideUrl) {
+        return res.status(400).json({ error: 'Invalid input. Required: slideUrl (query string)' });
+    }
     
-    // Validate input
-    if (!slideUrl || !timings || !Array.isArray(timings)) {
-        return res.status(400).json({ 
-            error: 'Invalid input. Required: slideUrl (string), timings (array)' 
-        });
+    const { source, error: sourceError } = resolveSource({ name: req.query.source, url: slideUrl });
+    if (sourceError) {
+        return res.status(400).json({ error: sourceError });
     }
     
-    if (timings.some(t => typeof t !== 'number' || t <= 0)) {
-        return res.status(400).json({ 
-            error: 'Invalid timings. All values must be positive numbers.' 
-        });
+    const sessionError = checkSessionName(session);
+    if (sessionError) {
+        return res.status(400).json({ error: sessionError });
+    }
+    
+    const missing = checkDependencies(source.dependencies);
+    if (missing.length > 0) {
+        return res.status(500).json({ error: `Missing dependencies: ${missing.join(', ')}` });
     }
     
-    const recordingId = uuidv4();
-    const outputPath = path.join(RECORDINGS_DIR, `slideshow_${recordingId}.mp4`);
-    const presentUrl = convertToPresentUrl(slideUrl);
+    if (activeInspections >= MAX_CONCURRENT_INSPECTIONS) {
+        return res.status(503).json({ error: 'Another inspection is running. Try again shortly.' });
+    }
+    
+    const inspectionId = uuidv4();
+    const thumbnailDir = path.join(RECORDINGS_DIR, `inspect_${inspectionId}`);
+    // Stop stepping through the deck if the client gives up waiting
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort(new Error('Inspection cancelled'));
+    });
     
+    activeInspections++;
+    let displaySession = null;
+    const profileName = `inspect_${inspectionId}.profile`;
     try {
-        log('INFO', `Starting recording for: ${presentUrl}`);
-        log('INFO', `Timings: ${timings.join(', ')}`);
+        log('INFO', `Inspecting ${slideUrl} (${inspectionId})`);
+        displaySession = await displayPool.acquire(displayGeometry(DEFAULT_VIDEO).resolution);
+        const browserSession = session ? checkoutSession(session, profileName) : null;
+        const deckUrl = await source.prepare({ url: slideUrl, workPrefix: path.join(WORK_DIR, `inspect_${inspectionId}`), signal: controller.signal });
+        const [slides, text] = await Promise.all([
+            inspectDeck(deckUrl, thumbnailDir, {
+                source,
+                display: displaySession.display,
+                session: browserSession,
+                signal: controller.signal
+            }),
+            source.readText
+                ? source.readText({ url: slideUrl, cookies: browserSession ? browserSession.cookies : [], signal: controller.signal })
+                : null
+        ]);
+        
+        res.json({
+            inspectionId,
+            slideUrl,
+            source: source.name,
+            slideCount: slides.length,
+            // A plain timings array needs one entry per slide change
+            timingsNeeded: slides.length - 1,
+            textAvailable: Boolean(text),
+            slides: slides.map(({ thumbnail, ...slide }, i) => ({
+                ...slide,
+                title: text && text[i] ? text[i].title : null,
+                notes: text && text[i] ? text[i].notes : null,
+                thumbnailUrl: `/recordings/inspect_${inspectionId}/${thumbnail}`
+            })),
+            timestamp: new Date().toISOString()
+        });
         
-        // Check dependencies
-        const missing = checkDependencies();
-        if (missing.length > 0) {
-            throw new Error(`Missing dependencies: ${missing.join(', ')}`);
+    } catch (error) {
+        log('ERROR', `Inspection ${inspectionId} failed: ${error.message}`);
+        fs.rmSync(thumbnailDir, { recursive: true, force: true });
+        if (!controller.signal.aborted) {
+            res.status(500).json({ error: error.message });
+        }
+    } finally {
+        activeInspections--;
+        displayPool.release(displaySession);
+        fs.readdirSync(WORK_DIR)
+            .filter(file => file.startsWith(`inspect_${inspectionId}.`))
+            .forEach(file => fs.rmSync(path.join(WORK_DIR, file), { recursive: true, force: true }));
+    }
+});
+
+// Delete an inspection's thumbnails without waiting for them to expire
+app.delete('/inspect/:id', (req, res) => {
+    const { id } = req.params;
+    const thumbnailDir = path.join(RECORDINGS_DIR, `inspect_${id}`);
+    if (!/^[\w-]+$/.test(id) || !fs.existsSync(thumbnailDir)) {
+        return res.status(404).json({ error: 'Inspection not found' });
+    }
+    
+    fs.rmSync(thumbnailDir, { recursive: true, force: true });
+    log('INFO', `Deleted inspection: ${id}`);
+    res.json({ success: true, message: 'Inspection deleted' });
+});
+
+// Start recording
+app.post('/record', (req, res) => {
+    const receiveUploads = upload.fields([
+        { name: 'narration', maxCount: 1 },
+        { name: 'slideAudio', maxCount: MAX_SLIDE_CLIPS },
+        { name: 'deck', maxCount: 1 }
+    ]);
+    
+    receiveUploads(req, res, (uploadError) => {
+        if (uploadError) {
+            return res.status(400).json({ error: uploadError.message });
         }
         
-        // Start virtual display
-        await startXvfb();
+        const { slideUrl } = req.body;
+        const files = req.files || {};
+        const narrationFile = files.narration ? files.narration[0] : null;
+        const slideClips = files.slideAudio || [];
+        const deckFile = files.deck ? files.deck[0] : null;
+        const narrateNotes = req.body.narrateNotes === true || req.body.narrateNotes === 'true';
+        // Clips and spoken notes set the slide timings themselves
+        const timings = slideClips.length > 0 || narrateNotes ? [] : parseTimings(req.body.timings);
+        const rejectRequest = (message) => {
+            [narrationFile, deckFile, ...slideClips].filter(Boolean).forEach(file => fs.unlinkSync(file.path));
+            res.status(400).json({ error: message });
+        };
         
-        // Record slideshow
-        await recordSlideshow(presentUrl, timings, outputPath);
+        // Validate input
+        if (narrationFile && slideClips.length > 0) {
+            return rejectRequest('Send either one narration file or per-slide slideAudio clips, not both');
+        }
         
-        // Check if file was created
-        if (!fs.existsSync(outputPath)) {
-            throw new Error('Recording file was not created');
+        if (narrateNotes && (narrationFile || slideClips.length > 0)) {
+            return rejectRequest('narrateNotes replaces uploaded narration; send one or the other');
         }
         
-        const stats = fs.statSync(outputPath);
+        const ttsProvider = req.body.ttsProvider || DEFAULT_TTS_PROVIDER;
+        if (narrateNotes && !getTtsProvider(ttsProvider)) {
+            return rejectRequest(`Invalid ttsProvider. Choose one of: ${TTS_PROVIDER_NAMES.join(', ')}`);
+        }
         
-        log('SUCCESS', `Recording completed: ${outputPath}`);
+        if ((!slideUrl && !deckFile) || !timings) {
+            return rejectRequest('Invalid input. Required: slideUrl (string) or a deck file, and timings (array), slideAudio clips or narrateNotes');
+        }
         
-        res.json({
-            success: true,
-            recordingId,
-            downloadUrl: `/recordings/slideshow_${recordingId}.mp4`,
-            fileSize: stats.size,
-            fileSizeMB: Math.round(stats.size / 1024 / 1024 * 100) / 100,
-            timestamp: new Date().toISOString()
-        });
+        const { source, error: sourceError } = resolveSource({ name: req.body.source, url: slideUrl, upload: deckFile });
+        if (sourceError) {
+            return rejectRequest(sourceError);
+        }
         
-    } catch (error) {
-        log('ERROR', `Recording failed: ${error.message}`);
+        if (narrateNotes && !source.readText) {
+            return rejectRequest(`narrateNotes cannot read speaker notes from a ${source.name} deck`);
+        }
+        
+        const timingsError = validateTimings(timings);
+        if (timingsError) {
+            return rejectRequest(timingsError);
+        }
+        
+        const profile = req.body.profile || DEFAULT_PROFILE;
+        const captureAudio = req.body.captureAudio === true || req.body.captureAudio === 'true';
+        if (!getProfile(profile)) {
+            return rejectRequest(`Invalid profile. Choose one of: ${PROFILE_NAMES.join(', ')}`);
+        }
+        
+        if (!getProfile(profile).audio && (narrationFile || slideClips.length > 0 || narrateNotes || captureAudio)) {
+            return rejectRequest(`The ${profile} profile has no audio track`);
+        }
+        
+        const captureMode = req.body.captureMode || DEFAULT_CAPTURE_MODE;
+        if (!CAPTURE_MODES.includes(captureMode)) {
+            return rejectRequest(`Invalid captureMode. Choose one of: ${CAPTURE_MODES.join(', ')}`);
+        }
+        
+        if (captureMode === 'screencast' && captureAudio) {
+            return rejectRequest('captureAudio needs captureMode x11grab; screencast captures pictures only');
+        }
+        
+        const { video, error: videoError } = parseVideoSettings(req.body);
+        if (videoError) {
+            return rejectRequest(videoError);
+        }
+        
+        const sessionError = checkSessionName(req.body.session);
+        if (sessionError) {
+            return rejectRequest(sessionError);
+        }
+        
+        const { tailHold, error: tailHoldError } = parseTailHold(req.body.tailHold);
+        if (tailHoldError) {
+            return rejectRequest(tailHoldError);
+        }
         
-        // Cleanup failed recording
-        if (fs.existsSync(outputPath)) {
-            fs.unlinkSync(outputPath);
+        const callbackError = checkCallbackUrl(req.body.callbackUrl);
+        if (callbackError) {
+            return rejectRequest(callbackError);
         }
         
-        res.status(500).json({
-            error: error.message,
+        const recordingId = uuidv4();
+        const job = jobQueue.enqueue(recordingId, {
+            slideUrl: slideUrl || null,
+            source: source.name,
+            deck: deckFile ? { path: deckFile.path, originalName: deckFile.originalname } : null,
+            timings,
+            narration: narrationFile ? { path: narrationFile.path, originalName: narrationFile.originalname } : null,
+            // Clips are kept in upload order, which is slide order
+            slideAudio: slideClips.length > 0
+                ? slideClips.map(clip => ({ path: clip.path, originalName: clip.originalname }))
+                : null,
+            notesNarration: narrateNotes ? { provider: ttsProvider, voice: req.body.ttsVoice || null } : null,
+            trimToAudio: req.body.trimToAudio === true || req.body.trimToAudio === 'true',
+            captureAudio,
+            captureMode,
+            trimPreRoll: req.body.trimPreRoll !== false && req.body.trimPreRoll !== 'false',
+            tailHold,
+            session: req.body.session || null,
+            callbackUrl: req.body.callbackUrl || null,
+            profile,
+            video
+        });
+        saveRecord(job);
+        
+        const audioNote = narrationFile ? ' with narration'
+            : slideClips.length > 0 ? ` with ${slideClips.length} slide clips`
+            : narrateNotes ? ` with ${ttsProvider} narration from speaker notes` : '';
+        log('INFO', `Queued ${source.label} recording ${recordingId}${audioNote}`);
+        
+        res.status(202).json({
+            success: true,
             recordingId,
+            status: job.status,
+            statusUrl: `/recording/${recordingId}`,
             timestamp: new Date().toISOString()
         });
-    } finally {
-        // Always cleanup virtual display
-        stopXvfb();
-    }
+    });
 });
 
 // Get recording status/info
 app.get('/recording/:id', (req, res) => {
     const { id } = req.params;
-    const filePath = path.join(RECORDINGS_DIR, `slideshow_${id}.mp4`);
+    const job = jobQueue.get(id);
     
-    if (!fs.existsSync(filePath)) {
+    if (job) {
+        return res.json({ ...describeJob(job), request: describeRequest(job.params) });
+    }
+    
+    // Recordings whose job is gone (or that predate the job queue) live on in the store
+    const record = recordingStore.get(id);
+    if (!record) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+    res.json(record);
+});
+
+// Live log lines, slide transitions and progress for one job, as Server-Sent Events
+app.get('/recording/:id/events', (req, res) => {
+    const { id } = req.params;
+    const job = jobQueue.get(id);
+    if (!job) {
         return res.status(404).json({ error: 'Recording not found' });
     }
     
-    const stats = fs.statSync(filePath);
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stop nginx and friends from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    // Log lines can still arrive between the final status and the socket closing
+    const write = (chunk) => {
+        if (!res.writableEnded) res.write(chunk);
+    };
+    const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
     
-    res.json({
-        recordingId: id,
-        exists: true,
-        fileSize: stats.size,
-        fileSizeMB: Math.round(stats.size / 1024 / 1024 * 100) / 100,
-        created: stats.birthtime,
-        downloadUrl: `/recordings/slideshow_${id}.mp4`
+    // Start every stream with where the job is, so late subscribers are up to date
+    send('status', describeJob(job));
+    if (jobQueue.isFinal(job)) {
+        return res.end();
+    }
+    
+    const onLogLine = ({ id: lineId, ...line }) => {
+        if (lineId === id) send('log', line);
+    };
+    const unsubscribe = jobQueue.subscribe(id, ({ type, data }) => {
+        if (type === 'status') {
+            send('status', describeJob(job));
+            if (jobQueue.isFinal(job)) res.end();
+        } else if (type === 'progress') {
+            send('progress', { status: job.status, ...describeJob(job).progress });
+        } else {
+            send(type, data);
+        }
+    });
+    logEvents.on('line', onLogLine);
+    const heartbeat = setInterval(() => write(': heartbeat\n\n'), EVENT_STREAM_HEARTBEAT);
+    
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        logEvents.off('line', onLogLine);
     });
 });
 
-// List all recordings
-app.get('/recordings', (req, res) => {
+// The display of a recording in progress, or an error response when there is none
+const findLiveDisplay = (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        res.status(404).json({ error: 'Recording not found' });
+        return null;
+    }
+    const live = liveDisplays.get(job.id);
+    if (!live && job.params.captureMode === 'screencast') {
+        res.status(409).json({ error: 'Screencast recordings run headless, with no display to preview', status: job.status });
+        return null;
+    }
+    if (!live) {
+        res.status(409).json({ error: `Nothing to preview: the recording is ${job.status} and its browser is not open`, status: job.status });
+        return null;
+    }
+    return live;
+};
+
+// What the recording's display shows right now
+app.get('/recording/:id/preview.png', async (req, res) => {
+    const live = findLiveDisplay(req, res);
+    if (!live) return;
+    
+    const width = req.query.width ? parseInt(req.query.width, 10) : null;
+    if (width !== null && !(width >= 160 && width <= 3840)) {
+        return res.status(400).json({ error: 'Invalid width. Must be 160 to 3840 pixels.' });
+    }
+    
     try {
-        const files = fs.readdirSync(RECORDINGS_DIR)
-            .filter(file => file.endsWith('.mp4'))
-            .map(file => {
-                const filePath = path.join(RECORDINGS_DIR, file);
-                const stats = fs.statSync(filePath);
-                const recordingId = file.replace('slideshow_', '').replace('.mp4', '');
-                
-                return {
-                    recordingId,
-                    filename: file,
-                    fileSize: stats.size,
-                    fileSizeMB: Math.round(stats.size / 1024 / 1024 * 100) / 100,
-                    created: stats.birthtime,
-                    downloadUrl: `/recordings/${file}`
-                };
-            })
-            .sort((a, b) => new Date(b.created) - new Date(a.created));
-        
-        res.json({
-            recordings: files,
-            count: files.length,
-            totalSizeMB: Math.round(files.reduce((sum, f) => sum + f.fileSizeMB, 0) * 100) / 100
-        });
+        const frame = await grabFrame(live.display, live.resolution, { width });
+        res.set('Cache-Control', 'no-store').type('png').send(frame);
     } catch (error) {
+        log('WARN', `Preview of ${req.params.id} failed: ${error.message}`);
         res.status(500).json({ error: error.message });
     }
 });
 
+// The same as a low-fps MJPEG stream, which ends when the browser closes
+app.get('/recording/:id/preview.mjpeg', async (req, res) => {
+    const live = findLiveDisplay(req, res);
+    if (!live) return;
+    
+    const fps = req.query.fps ? Number(req.query.fps) : PREVIEW_FPS;
+    if (!(fps > 0 && fps <= MAX_PREVIEW_FPS)) {
+        return res.status(400).json({ error: `Invalid fps. Must be more than 0 and at most ${MAX_PREVIEW_FPS}.` });
+    }
+    if (activePreviewStreams >= MAX_PREVIEW_STREAMS) {
+        return res.status(503).json({ error: 'Too many preview streams open, try again later' });
+    }
+    
+    activePreviewStreams++;
+    const viewer = new AbortController();
+    const stop = () => viewer.abort();
+    res.on('close', stop);
+    live.controller.signal.addEventListener('abort', stop, { once: true });
+    
+    res.writeHead(200, {
+        'Content-Type': `multipart/x-mixed-replace; boundary=${MJPEG_BOUNDARY}`,
+        'Cache-Control': 'no-store',
+        Connection: 'close'
+    });
+    try {
+        await streamFrames(live.display, live.resolution, res, { fps, width: PREVIEW_WIDTH, signal: viewer.signal });
+    } catch (error) {
+        log('WARN', `Preview stream of ${req.params.id} failed: ${error.message}`);
+    } finally {
+        activePreviewStreams--;
+        live.controller.signal.removeEventListener('abort', stop);
+        res.end();
+    }
+});
+
+// List recordings from the store, filtered, sorted and a page at a time
+app.get('/recordings', (req, res) => {
+    const { query, error } = parseRecordingQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    const { total, matches, page } = recordingStore.query(query);
+    // The full request is left to GET /recording/:id
+    const recordings = page.map(({ request, ...record }) => record);
+    
+    res.json({
+        recordings,
+        count: recordings.length,
+        total,
+        offset: query.offset,
+        limit: query.limit,
+        totalSizeMB: Math.round(matches.reduce((sum, record) => sum + (record.fileSizeMB || 0), 0) * 100) / 100
+    });
+});
+
 // Delete recording
 app.delete('/recording/:id', (req, res) => {
     const { id } = req.params;
-    const filePath = path.join(RECORDINGS_DIR, `slideshow_${id}.mp4`);
+    const job = jobQueue.get(id);
     
-    if (!fs.existsSync(filePath)) {
+    // Queued or running jobs are cancelled rather than deleted
+    if (job && !jobQueue.isFinal(job)) {
+        const keepPartial = req.query.keepPartial === 'true';
+        const wasQueued = job.status === 'queued';
+        jobQueue.cancel(id, { keepPartial });
+        if (wasQueued) {
+            removeUploads(job);
+        }
+        log('INFO', `Cancelling recording ${id}${keepPartial ? ' (keeping partial video)' : ''}`);
+        return res.status(202).json({
+            success: true,
+            recordingId: id,
+            status: job.status,
+            message: 'Recording is being cancelled'
+        });
+    }
+    
+    const record = recordingStore.get(id);
+    const result = (job && job.result) || record || {};
+    const filename = result.filename || `slideshow_${id}.mp4`;
+    const filePath = path.join(RECORDINGS_DIR, filename);
+    
+    if (!job && !record && !fs.existsSync(filePath)) {
         return res.status(404).json({ error: 'Recording not found' });
     }
     
     try {
-        fs.unlinkSync(filePath);
+        removeOutput(filename);
+        jobQueue.remove(id);
+        recordingStore.remove(id);
         log('INFO', `Deleted recording: ${id}`);
         res.json({ success: true, message: 'Recording deleted' });
     } catch (error) {
@@ -425,19 +929,155 @@ app.delete('/recording/:id', (req, res) => {
     }
 });
 
+// List stored sessions (names and metadata only, never the cookies)
+app.get('/sessions', (req, res) => {
+    const stored = sessionStore.list().map(session => ({ ...session, status: capturingSessions.has(session.name) ? 'capturing' : 'ready' }));
+    const pending = [...capturingSessions]
+        .filter(name => !stored.some(session => session.name === name))
+        .map(name => ({ name, status: 'capturing' }));
+    res.json({ sessions: [...stored, ...pending] });
+});
+
+// Store (or replace) a session's cookies from a JSON cookie export
+app.put('/sessions/:name', (req, res) => {
+    const { name } = req.params;
+    if (!SESSION_NAME_PATTERN.test(name)) {
+        return res.status(400).json({ error: 'Invalid session name. Use up to 64 letters, digits, "-" or "_".' });
+    }
+    
+    const { cookies, error } = normalizeCookies(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    res.json({ success: true, session: sessionStore.saveCookies(name, cookies) });
+});
+
+// Sign in interactively in a Chrome window on the server's desktop
+app.post('/sessions/:name/login', async (req, res) => {
+    const { name } = req.params;
+    if (!SESSION_NAME_PATTERN.test(name)) {
+        return res.status(400).json({ error: 'Invalid session name. Use up to 64 letters, digits, "-" or "_".' });
+    }
+    if (!process.env.DISPLAY) {
+        return res.status(409).json({ error: 'Interactive sign-in needs the server to run on a desktop (DISPLAY is not set). Upload cookies instead.' });
+    }
+    if (capturingSessions.has(name)) {
+        return res.status(409).json({ error: `Session ${name} is already being captured` });
+    }
+    
+    try {
+        await captureSession(name);
+        res.status(202).json({
+            success: true,
+            session: name,
+            status: 'capturing',
+            message: `Sign in in the Chrome window on ${process.env.DISPLAY}, then close it to save the session`
+        });
+    } catch (error) {
+        log('ERROR', `Could not open sign-in window for session ${name}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a stored session
+app.delete('/sessions/:name', (req, res) => {
+    const { name } = req.params;
+    if (capturingSessions.has(name)) {
+        return res.status(409).json({ error: `Session ${name} is being captured; close its sign-in window first` });
+    }
+    if (!sessionStore.remove(name)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true, message: 'Session deleted' });
+});
+
 // Cleanup on exit
 process.on('SIGINT', () => {
     log('INFO', 'Shutting down...');
-    stopXvfb();
+    displayPool.releaseAll();
     process.exit(0);
 });
 
 process.on('SIGTERM', () => {
     log('INFO', 'Shutting down...');
-    stopXvfb();
+    displayPool.releaseAll();
     process.exit(0);
 });
 
+// Intermediate captures left by a previous run belong to jobs that can no longer finish
+fs.readdirSync(WORK_DIR).forEach(file => fs.rmSync(path.join(WORK_DIR, file), { recursive: true, force: true }));
+
+jobQueue.start();
+recordingStore.open();
+
+const removeExpiredInspections = () => {
+    const cutoff = Date.now() - INSPECTION_TTL;
+    fs.readdirSync(RECORDINGS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name.startsWith('inspect_'))
+        .map(entry => path.join(RECORDINGS_DIR, entry.name))
+        .filter(dir => fs.statSync(dir).mtimeMs < cutoff)
+        .forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+};
+removeExpiredInspections();
+setInterval(removeExpiredInspections, INSPECTION_SWEEP_INTERVAL);
+
+// Uploads only queued jobs still need; the rest belong to jobs the restart
+// failed, or to requests cut short
+const queuedUploads = new Set(jobQueue.list()
+    .filter(job => job.status === 'queued')
+    .flatMap(job => uploadsOf(job).map(file => path.resolve(file))));
+fs.readdirSync(UPLOADS_DIR)
+    .map(file => path.join(UPLOADS_DIR, file))
+    .filter(file => !queuedUploads.has(file))
+    .forEach(file => fs.rmSync(file, { recursive: true, force: true }));
+
+// Catch the store up with jobs the restart itself failed (they were
+// mid-recording when the last process died, so the store still has them
+// running), and fill it in for files from before it existed
+const backfillRecords = () => {
+    jobQueue.list()
+        .filter(job => !recordingStore.has(job.id) || recordingStore.get(job.id).status !== job.status)
+        .forEach(saveRecord);
+    
+    // Files without a job: only what the file itself can tell
+    fs.readdirSync(RECORDINGS_DIR, { withFileTypes: true }).forEach(entry => {
+        // HLS recordings are directories holding a playlist and its segments
+        const file = entry.isDirectory() ? path.posix.join(entry.name, 'index.m3u8') : entry.name;
+        const extension = path.extname(file);
+        if (!RECORDING_EXTENSIONS[extension]) return;
+        if (!fs.existsSync(path.join(RECORDINGS_DIR, file))) return;
+        
+        const recordingId = entry.name.replace('slideshow_', '').replace(extension, '');
+        if (recordingStore.has(recordingId)) return;
+        
+        const stats = fs.statSync(path.join(RECORDINGS_DIR, entry.name));
+        const fileSize = sizeOf(path.join(RECORDINGS_DIR, entry.name));
+        recordingStore.put({
+            recordingId,
+            status: 'done',
+            source: { type: null, url: null, deck: null },
+            profile: null,
+            container: RECORDING_EXTENSIONS[extension],
+            filename: file,
+            downloadUrl: `/recordings/${file}`,
+            fileSize,
+            fileSizeMB: Math.round(fileSize / 1024 / 1024 * 100) / 100,
+            request: null,
+            created: stats.birthtime.toISOString(),
+            startedAt: null,
+            finishedAt: null
+        });
+    });
+};
+backfillRecords();
+
+// Callbacks still owed for jobs that ended before the last shutdown, including
+// those the restart itself failed
+jobQueue.list()
+    .filter(job => jobQueue.isFinal(job) && job.params.callbackUrl && (!job.webhook || job.webhook.status === 'pending'))
+    .forEach(notifyCallback);
+
 app.listen(PORT, () => {
     log('INFO', `Google Slides Recording API Server running on port ${PORT}`);
     log('INFO', `Health check: http://localhost:${PORT}/health`);
@@ -451,12 +1091,25 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         endpoints: {
             'GET /health': 'Check API health and dependencies',
-            'POST /record': 'Start recording (body: {slideUrl, timings})',
-            'GET /recording/:id': 'Get recording info',
-            'GET /recordings': 'List all recordings',
-            'DELETE /recording/:id': 'Delete recording',
-            'GET /recordings/:filename': 'Download recording file'
+            'GET /inspect?slideUrl=': 'Step through a deck without recording it: slide count, titles, notes and thumbnails',
+            'DELETE /inspect/:id': 'Delete an inspection\'s thumbnails (they expire after an hour anyway)',
+            'POST /record': 'Queue a recording (body: {slideUrl, source, timings, profile, width, height, fps, deviceScaleFactor, callbackUrl}, or multipart with a PDF/PPTX deck, a narration file or per-slide slideAudio clips), returns recordingId',
+            'GET /recording/:id': 'Get recording status, live progress, result and the request that produced it',
+            'GET /recording/:id/events': 'Stream a recording\'s log lines, slide transitions and progress as Server-Sent Events',
+            'GET /recording/:id/preview.png': 'Screenshot of the display a recording is running on (?width= to scale)',
+            'GET /recording/:id/preview.mjpeg': 'Low-fps MJPEG stream of that display (?fps=, default 2)',
+            'GET /recordings': 'Search recordings (?sourceUrl=, status=, from=, to=, sort=, limit=, offset=)',
+            'DELETE /recording/:id': 'Cancel an active recording (?keepPartial=true keeps the video so far) or delete a finished one',
+            'GET /recordings/:filename': 'Download recording file',
+            'GET /sessions': 'List stored sign-in sessions',
+            'PUT /sessions/:name': 'Store a session from a JSON cookie export',
+            'POST /sessions/:name/login': 'Sign in interactively in a Chrome window on the server desktop',
+            'DELETE /sessions/:name': 'Delete a stored session'
         },
+        profiles: PROFILE_NAMES,
+        sources: SOURCE_NAMES,
+        captureModes: CAPTURE_MODES,
+        ttsProviders: TTS_PROVIDER_NAMES,
         example: {
             url: 'POST /record',
             body: {
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// Record decks from the command line, without prompts, for scripts, cron and CI:
+//   slide-record record --url <url> --timings 5,8,12 --out talk.mp4
+//   slide-record batch decks.yaml
+// Logs go to stderr; stdout carries the result, as JSON with --json.
+// Exit codes: 0 all recorded, 1 a recording failed, 2 bad arguments or
+// manifest, 130 interrupted.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { createDisplayPool } = require('../lib/display-pool');
+const { parseDeckSpec, loadManifest } = require('../lib/manifest');
+const { recordDeck } = require('../lib/recorder');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_INTERRUPTED = 130;
+
+const USAGE = `Usage:
+  slide-record record (--url <url> | --file <deck.pdf|pptx>) --timings <timings> --out <path> [options]
+  slide-record batch <manifest.yaml|json> [--out-dir <dir>] [--fail-fast] [--json]
+
+Record options:
+  --url <url>                 deck to record (Google Slides, or any web page with --source html)
+  --file <path>               PDF or PPTX to record instead
+  --timings <timings>         comma-separated seconds ("5,8,12") or a JSON array
+  --out <path>                where the video goes
+  --source <name>             source adapter; detected from the URL or file by default
+  --profile <name>            mp4, mp4-silent, webm, gif or hls (default mp4)
+  --width <px>, --height <px> recorded size (default 1920x1080)
+  --fps <n>                   output framerate (default from the profile)
+  --scale <n>                 device scale factor (default 1)
+  --tail-hold <seconds>       how long the last slide stays up
+  --display <mode>            xvfb, host or headless (default xvfb)
+
+Common options:
+  --json                      print the result as JSON
+  --quiet                     no log output
+  -h, --help                  show this help
+
+DISPLAY_BASE sets the first X display number xvfb recordings try (default 99).`;
+
+const OPTIONS = {
+    url: { type: 'string' },
+    file: { type: 'string' },
+    timings: { type: 'string' },
+    out: { type: 'string' },
+    source: { type: 'string' },
+    profile: { type: 'string' },
+    width: { type: 'string' },
+    height: { type: 'string' },
+    fps: { type: 'string' },
+    scale: { type: 'string' },
+    'tail-hold': { type: 'string' },
+    display: { type: 'string' },
+    'out-dir': { type: 'string' },
+    'fail-fast': { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+    quiet: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const RECORD_ONLY = ['url', 'file', 'timings', 'out', 'source', 'profile', 'width', 'height', 'fps', 'scale', 'tail-hold', 'display'];
+const BATCH_ONLY = ['out-dir', 'fail-fast'];
+
+// Returns { command, values, manifestPath } or { error }
+const parseCommandLine = (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    const { values, positionals: [command, ...rest] } = parsed;
+    if (values.help || !command) return { command: 'help', values };
+
+    if (!['record', 'batch'].includes(command)) {
+        return { error: `Unknown command ${command}. Use record or batch.` };
+    }
+    const misplaced = (command === 'record' ? BATCH_ONLY : RECORD_ONLY).filter(name => values[name] !== undefined && values[name] !== false);
+    if (misplaced.length > 0) {
+        return { error: `--${misplaced.join(', --')} cannot be used with ${command}` };
+    }
+    if (command === 'record' && rest.length > 0) {
+        return { error: `Unexpected argument ${rest[0]}` };
+    }
+    if (command === 'batch' && rest.length !== 1) {
+        return { error: 'batch takes exactly one manifest path' };
+    }
+    return { command, values, manifestPath: rest[0] };
+};
+
+// The decks to record, from the flags or the manifest. Returns { decks } or { error }.
+const resolveDecks = ({ command, values, manifestPath }) => {
+    if (command === 'batch') {
+        return loadManifest(manifestPath, { outputDir: values['out-dir'] || null });
+    }
+
+    if (!values.out) return { error: '--out is required' };
+    if (!values.timings) return { error: '--timings is required' };
+
+    const { deck, error } = parseDeckSpec({
+        url: values.url,
+        file: values.file,
+        timings: values.timings,
+        output: values.out,
+        source: values.source,
+        profile: values.profile,
+        width: values.width,
+        height: values.height,
+        fps: values.fps,
+        deviceScaleFactor: values.scale,
+        tailHold: values['tail-hold'],
+        display: values.display
+    });
+    return error ? { error } : { decks: [deck] };
+};
+
+// One deck, start to finish. Never throws: failures are part of the report.
+const recordOne = async (deck, { displayPool, workDir, signal }) => {
+    const startedAt = Date.now();
+    const report = { name: deck.name, source: deck.slideUrl || deck.deckFile, output: deck.outputPath };
+
+    try {
+        const { duration, slides, transitions } = await recordDeck({
+            slideUrl: deck.slideUrl,
+            deckFile: deck.deckFile,
+            source: deck.source,
+            timings: deck.timings,
+            tailHold: deck.tailHold,
+            display: deck.display,
+            displayPool,
+            video: deck.video,
+            profile: deck.profile,
+            outputPath: deck.outputPath,
+            workPrefix: path.join(workDir, uuidv4()),
+            signal
+        });
+        return { ...report, status: 'completed', duration, slides, transitions, elapsed: (Date.now() - startedAt) / 1000 };
+    } catch (error) {
+        return { ...report, status: signal.aborted ? 'cancelled' : 'failed', error: error.message, elapsed: (Date.now() - startedAt) / 1000 };
+    }
+};
+
+const printReport = (command, results, { json }) => {
+    const counts = {
+        total: results.length,
+        completed: results.filter(result => result.status === 'completed').length,
+        failed: results.filter(result => result.status === 'failed').length,
+        skipped: results.filter(result => ['cancelled', 'skipped'].includes(result.status)).length
+    };
+
+    if (json) {
+        const report = command === 'record'
+            ? { success: counts.completed === 1, ...results[0] }
+            : { success: counts.completed === counts.total, ...counts, decks: results };
+        process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+        return;
+    }
+
+    for (const result of results) {
+        const detail = result.status === 'completed'
+            ? `${result.output} (${result.duration.toFixed(1)}s, ${result.slides.length} slides)`
+            : result.error || '';
+        process.stdout.write(`${result.status.toUpperCase().padEnd(9)} ${result.name}  ${detail}\n`);
+    }
+    if (command === 'batch') {
+        process.stdout.write(`\n${counts.completed} of ${counts.total} recorded, ${counts.failed} failed, ${counts.skipped} skipped\n`);
+    }
+};
+
+const rejectArguments = (message) => {
+    if (process.argv.includes('--json')) {
+        process.stdout.write(`${JSON.stringify({ success: false, error: message }, null, 2)}\n`);
+    } else {
+        process.stderr.write(`${message}\n\n${USAGE}\n`);
+    }
+    return EXIT_USAGE;
+};
+
+const main = async () => {
+    const options = parseCommandLine(process.argv.slice(2));
+    if (options.error) {
+        return rejectArguments(options.error);
+    }
+    if (options.command === 'help') {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+
+    const { decks, error } = resolveDecks(options);
+    if (error) {
+        return rejectArguments(error);
+    }
+
+    // Ctrl+C or a CI timeout stops the current recording cleanly (display,
+    // browser and work files are released) and skips the rest
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    // Intermediate files live outside the caller's directory and go with the run,
+    // however it ends
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slide-record-'));
+    process.once('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+    const displayPool = createDisplayPool({ base: parseInt(process.env.DISPLAY_BASE, 10) || 99 });
+    const results = [];
+    for (const deck of decks) {
+        const stopped = controller.signal.aborted || (options.values['fail-fast'] && results.some(result => result.status === 'failed'));
+        if (stopped) {
+            results.push({ name: deck.name, source: deck.slideUrl || deck.deckFile, output: deck.outputPath, status: 'skipped' });
+            continue;
+        }
+        results.push(await recordOne(deck, { displayPool, workDir, signal: controller.signal }));
+    }
+    displayPool.releaseAll();
+
+    printReport(options.command, results, { json: options.values.json });
+
+    if (controller.signal.aborted) return EXIT_INTERRUPTED;
+    return results.every(result => result.status === 'completed') ? EXIT_OK : EXIT_FAILED;
+};
+
+// Logs are diagnostics: keep them off stdout so it holds the result alone
+const quiet = process.argv.includes('--quiet');
+console.log = quiet ? () => {} : (...args) => console.error(...args);
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        process.stderr.write(`${error.stack}\n`);
+        process.exitCode = EXIT_FAILED;
+    });
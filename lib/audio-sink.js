@@ -0,0 +1,39 @@
+const { execFile } = require('child_process');
+const { log } = require('./log');
+
+const pactl = (args) => {
+    return new Promise((resolve, reject) => {
+        execFile('pactl', args, (error, stdout, stderr) => {
+            if (error) {
+                return reject(new Error(`pactl ${args[0]} failed: ${(stderr || error.message).trim()}`));
+            }
+            resolve(stdout.trim());
+        });
+    });
+};
+
+// A PulseAudio null sink per job: Chrome plays into it (via PULSE_SINK) and
+// ffmpeg records its monitor source, so concurrent jobs never hear each other
+const createNullSink = async (jobId) => {
+    const sinkName = `slide_record_${jobId.replace(/-/g, '').slice(0, 12)}`;
+    const moduleId = await pactl([
+        'load-module', 'module-null-sink',
+        `sink_name=${sinkName}`,
+        `sink_properties=device.description=${sinkName}`
+    ]);
+
+    log('INFO', `Created audio sink ${sinkName} (module ${moduleId})`);
+    return { sinkName, moduleId, monitor: `${sinkName}.monitor` };
+};
+
+const removeNullSink = async (sink) => {
+    if (!sink) return;
+    try {
+        await pactl(['unload-module', sink.moduleId]);
+        log('INFO', `Removed audio sink ${sink.sinkName}`);
+    } catch (error) {
+        log('WARN', error.message);
+    }
+};
+
+module.exports = { createNullSink, removeNullSink };
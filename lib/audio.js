@@ -0,0 +1,39 @@
+const { runFfmpeg, probeDuration } = require('./ffmpeg');
+
+// Read each per-slide clip's length; slide N advances when clip N finishes,
+// so the advance timestamps are the running totals of all but the last clip
+const timingsFromClips = async (clipPaths) => {
+    const durations = [];
+    for (const clipPath of clipPaths) {
+        durations.push(await probeDuration(clipPath));
+    }
+
+    const timings = [];
+    let elapsed = 0;
+    durations.slice(0, -1).forEach(duration => {
+        elapsed += duration;
+        timings.push(Math.round(elapsed * 1000) / 1000);
+    });
+
+    return { durations, timings };
+};
+
+// Join the per-slide clips back to back into one soundtrack. Every clip is
+// resampled first because the concat filter needs matching formats.
+const concatClips = async (clipPaths, outputPath) => {
+    const inputs = clipPaths.flatMap(clipPath => ['-i', clipPath]);
+    const normalised = clipPaths
+        .map((clipPath, i) => `[${i}:a]aresample=48000,aformat=sample_fmts=s16:channel_layouts=stereo[a${i}]`)
+        .join(';');
+    const joined = clipPaths.map((clipPath, i) => `[a${i}]`).join('');
+
+    await runFfmpeg([
+        ...inputs,
+        '-filter_complex', `${normalised};${joined}concat=n=${clipPaths.length}:v=0:a=1[soundtrack]`,
+        '-map', '[soundtrack]',
+        '-c:a', 'pcm_s16le',
+        outputPath
+    ]);
+};
+
+module.exports = { timingsFromClips, concatClips };
@@ -0,0 +1,50 @@
+const fs = require('fs');
+
+// Turn the moments each slide appeared (seconds into the video) into a slide
+// index. Slide 1 is stretched back to 0 so the chapters cover the whole file,
+// and anything past the end of the (possibly trimmed) video is dropped.
+const buildSlideIndex = (slideStarts, duration) => {
+    const starts = slideStarts
+        .map((start, i) => (i === 0 ? 0 : start))
+        .filter(start => start < duration);
+
+    return starts.map((start, i) => ({
+        slide: i + 1,
+        title: `Slide ${i + 1}`,
+        start: Math.round(start * 1000) / 1000,
+        end: Math.round((i + 1 < starts.length ? starts[i + 1] : duration) * 1000) / 1000
+    }));
+};
+
+// ffmpeg's metadata file format; values need =, ;, # and \ escaped
+const escapeMetadata = (value) => String(value).replace(/([=;#\\\n])/g, '\\$1');
+
+const writeFfmetadata = (slides, filePath) => {
+    const chapters = slides.map(slide => [
+        '[CHAPTER]',
+        'TIMEBASE=1/1000',
+        `START=${Math.round(slide.start * 1000)}`,
+        `END=${Math.round(slide.end * 1000)}`,
+        `title=${escapeMetadata(slide.title)}`
+    ].join('\n'));
+
+    fs.writeFileSync(filePath, [';FFMETADATA1', ...chapters].join('\n') + '\n');
+};
+
+const vttTimestamp = (seconds) => {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+    const pad = (value, width = 2) => String(value).padStart(width, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+};
+
+// WebVTT chapters track (<track kind="chapters">) for HTML5/LMS players
+const toWebVTT = (slides) => {
+    const cues = slides.map(slide => `${slide.slide}\n${vttTimestamp(slide.start)} --> ${vttTimestamp(slide.end)}\n${slide.title}`);
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+};
+
+module.exports = { buildSlideIndex, writeFfmetadata, toWebVTT };
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { log } = require('./log');
+
+// Titles and speaker notes are read from PPTX files: uploaded ones, or the
+// PPTX Google Slides hands out for any deck the viewer can open, which is the
+// only place they can be read without an API key
+
+const presentationId = (slideUrl) => {
+    const match = slideUrl.match(/docs\.google\.com\/presentation\/d\/([\w-]+)/);
+    return match ? match[1] : null;
+};
+
+// Minimal ZIP reader: enough to pull the XML parts out of a PPTX, which only
+// ever uses stored or deflated entries
+const readZipEntries = (buffer) => {
+    // End of central directory record, searched for from the end because a
+    // trailing archive comment may follow it
+    let eocd = buffer.length - 22;
+    while (eocd >= 0 && buffer.readUInt32LE(eocd) !== 0x06054b50) eocd--;
+    if (eocd < 0) throw new Error('Not a ZIP archive');
+
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        // The local header repeats the name but may carry a different extra field
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        entries.set(name, () => (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8'));
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+};
+
+const decodeXml = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// Text of the first shape holding one of the given placeholder types, one
+// line per paragraph
+const placeholderText = (xml, types) => {
+    const shapes = xml.match(/<p:sp>[\s\S]*?<\/p:sp>/g) || [];
+    const shape = shapes.find(sp => types.some(type => sp.includes(`<p:ph type="${type}"`)));
+    if (!shape) return null;
+
+    const paragraphs = (shape.match(/<a:p>[\s\S]*?<\/a:p>/g) || [])
+        .map(p => (p.match(/<a:t>([^<]*)<\/a:t>/g) || []).map(t => decodeXml(t.slice(5, -6))).join(''));
+    const text = paragraphs.join('\n').trim();
+    return text || null;
+};
+
+// Slide parts in presentation order, as listed in presentation.xml
+const slideParts = (entries) => {
+    const rels = entries.get('ppt/_rels/presentation.xml.rels')();
+    const targets = new Map([...rels.matchAll(/<Relationship [^>]*?Id="([^"]+)"[^>]*?Target="([^"]+)"/g)]
+        .map(([, id, target]) => [id, `ppt/${target.replace(/^\/?(ppt\/)?/, '')}`]));
+    const order = [...entries.get('ppt/presentation.xml')().matchAll(/<p:sldId [^>]*?r:id="([^"]+)"/g)];
+    return order.map(([, id]) => targets.get(id)).filter(Boolean);
+};
+
+const notesPart = (entries, slidePart) => {
+    const relsName = slidePart.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels');
+    if (!entries.has(relsName)) return null;
+    const match = entries.get(relsName)().match(/Target="\.\.\/notesSlides\/([^"]+)"/);
+    return match ? `ppt/notesSlides/${match[1]}` : null;
+};
+
+// Title and speaker notes of every slide in a PPTX
+const parseDeckText = (buffer) => {
+    const entries = readZipEntries(buffer);
+    return slideParts(entries).map(part => {
+        const notes = notesPart(entries, part);
+        return {
+            title: placeholderText(entries.get(part)(), ['title', 'ctrTitle']),
+            notes: notes && entries.has(notes) ? placeholderText(entries.get(notes)(), ['body']) : null
+        };
+    });
+};
+
+// The same for an uploaded PPTX, or null if it cannot be read
+const readDeckTextFile = async (filePath) => {
+    try {
+        return parseDeckText(fs.readFileSync(filePath));
+    } catch (error) {
+        log('WARN', `Could not read slide titles and notes: ${error.message}`);
+        return null;
+    }
+};
+
+// Titles and speaker notes for each slide of a Google Slides deck, or null
+// when the deck cannot be exported (not Google Slides, or export disabled).
+// cookies from a signed-in session let private decks be exported too.
+const fetchDeckText = async (slideUrl, { signal, cookies = [] } = {}) => {
+    const id = presentationId(slideUrl);
+    if (!id) return null;
+
+    const googleCookies = cookies.filter(cookie => /(^|\.)google\.com$/.test(cookie.domain.replace(/^\./, '')));
+    const headers = googleCookies.length > 0
+        ? { Cookie: googleCookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') }
+        : {};
+
+    try {
+        const response = await fetch(`https://docs.google.com/presentation/d/${id}/export/pptx`, { headers, signal });
+        if (!response.ok) throw new Error(`export returned HTTP ${response.status}`);
+        return parseDeckText(Buffer.from(await response.arrayBuffer()));
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        log('WARN', `Could not read slide titles and notes: ${error.message}`);
+        return null;
+    }
+};
+
+module.exports = { presentationId, fetchDeckText, readDeckTextFile };
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { log } = require('./log');
+
+// Highest display number the pool will probe above its base
+const DISPLAY_SEARCH_RANGE = 100;
+
+// An X server owns display :N while its lock file names a live process
+const isDisplayTaken = (num) => {
+    const lockFile = `/tmp/.X${num}-lock`;
+    if (!fs.existsSync(lockFile)) {
+        return fs.existsSync(`/tmp/.X11-unix/X${num}`);
+    }
+
+    try {
+        const pid = parseInt(fs.readFileSync(lockFile, 'utf8').trim(), 10);
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM means the process exists but belongs to another user
+        return error.code === 'EPERM';
+    }
+};
+
+const startWindowManager = (display) => {
+    return new Promise((resolve) => {
+        const env = { ...process.env, DISPLAY: display };
+        const tryStart = (candidates) => {
+            if (candidates.length === 0) {
+                log('WARN', `No window manager available for ${display}`);
+                return resolve(null);
+            }
+
+            const [name, ...rest] = candidates;
+            const wm = spawn(name, [], { env, stdio: 'ignore' });
+            wm.once('error', () => tryStart(rest));
+            wm.once('spawn', () => {
+                log('INFO', `Started ${name} window manager on ${display}`);
+                resolve(wm);
+            });
+        };
+        tryStart(['fluxbox', 'openbox']);
+    });
+};
+
+const startXvfb = (display, resolution) => {
+    return new Promise((resolve, reject) => {
+        log('INFO', `Starting virtual display ${display}...`);
+
+        const xvfb = spawn('Xvfb', [
+            display,
+            '-screen', '0', `${resolution}x24`,
+            '-ac',
+            '+extension', 'GLX',
+            '+extension', 'RANDR',
+            '+extension', 'RENDER',
+            '-noreset',
+            // No -fbdir: its file is named after the screen number alone, so
+            // concurrent displays would share (and scribble on) one framebuffer
+            '-dpi', '96'
+        ], { stdio: 'ignore' });
+
+        let exited = false;
+        xvfb.on('exit', (code) => {
+            exited = true;
+            log('INFO', `Virtual display ${display} exited (code ${code})`);
+        });
+
+        const startTimer = setTimeout(async () => {
+            if (exited) {
+                return reject(new Error(`Failed to start virtual display ${display}`));
+            }
+
+            log('SUCCESS', `Virtual display ${display} started (PID: ${xvfb.pid})`);
+            const wm = await startWindowManager(display);
+            resolve({ display, xvfb, wm });
+        }, 3000);
+
+        xvfb.on('error', (error) => {
+            clearTimeout(startTimer);
+            reject(error);
+        });
+    });
+};
+
+const stopXvfb = (session) => {
+    if (session.wm) {
+        log('INFO', `Stopping window manager on ${session.display}...`);
+        session.wm.kill();
+        session.wm = null;
+    }
+
+    if (session.xvfb) {
+        log('INFO', `Stopping virtual display ${session.display}...`);
+        session.xvfb.kill();
+        session.xvfb = null;
+    }
+};
+
+// Hands out one free X display per job so concurrent recordings never share a screen
+const createDisplayPool = ({ base = 99, size = 1 } = {}) => {
+    const sessions = new Map();
+
+    const acquire = async (resolution) => {
+        if (sessions.size >= size) {
+            throw new Error(`All ${size} virtual displays are in use`);
+        }
+
+        for (let num = base; num < base + DISPLAY_SEARCH_RANGE; num++) {
+            const display = `:${num}`;
+            if (sessions.has(display) || isDisplayTaken(num)) continue;
+
+            // Reserve before the async start so a parallel acquire skips it
+            sessions.set(display, { display, xvfb: null, wm: null });
+            try {
+                const session = await startXvfb(display, resolution);
+                sessions.set(display, session);
+                return session;
+            } catch (error) {
+                sessions.delete(display);
+                throw error;
+            }
+        }
+
+        throw new Error(`No free X display between :${base} and :${base + DISPLAY_SEARCH_RANGE - 1}`);
+    };
+
+    const release = (session) => {
+        if (!session) return;
+        stopXvfb(session);
+        sessions.delete(session.display);
+    };
+
+    const releaseAll = () => {
+        [...sessions.values()].forEach(release);
+    };
+
+    return { acquire, release, releaseAll, size };
+};
+
+module.exports = { createDisplayPool, startXvfb, stopXvfb };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const { runFfmpeg, probeDuration } = require('./ffmpeg');
+const { buildSlideIndex, writeFfmetadata } = require('./chapters');
+const { getProfile, videoFilter, outputArgs } = require('./profiles');
+const { log } = require('./log');
+
+// First pass: grab the screen with as little CPU as possible so animated
+// transitions never drop frames. Lossless x264 in RGB skips the colour
+// conversion entirely; the real encode happens after the browser closes.
+const CAPTURE_EXTENSION = '.mkv';
+const CAPTURE_VIDEO_ARGS = ['-c:v', 'libx264rgb', '-preset', 'ultrafast', '-qp', '0'];
+const CAPTURE_AUDIO_ARGS = ['-c:a', 'pcm_s16le'];
+
+// Second pass: turn the lossless capture into the delivery profile, laying
+// any narration over it on the way.
+//   fps            output framerate; null keeps the profile's default
+//   narration      { path, offsetSeconds, trimToAudio } or null. The audio is
+//                  delayed by offsetSeconds so it starts with slide 1; with
+//                  trimToAudio the video ends when the narration does.
+//   capturedAudio  true when the capture holds presentation audio to keep
+//   slideStarts    seconds into the capture at which each slide appeared;
+//                  written as "Slide N" chapters where the container allows
+//   trim           { start, end } in capture seconds to keep, or null for all.
+//                  Narration and slide times are shifted to match.
+//   onProgress     called with the percentage encoded so far
+// Resolves with the encoded duration and the slide index within it.
+const encodeRecording = async ({ capturePath, outputPath, profile, fps = null, narration = null, capturedAudio = false, slideStarts = [], trim = null, signal, onProgress = () => {} }) => {
+    const captureDuration = await probeDuration(capturePath);
+    const withAudio = Boolean(getProfile(profile).audio) && Boolean(narration || capturedAudio);
+
+    // From here on times are on the trimmed timeline, which begins at trimStart
+    const trimStart = trim ? Math.min(trim.start || 0, captureDuration) : 0;
+    const trimEnd = trim && trim.end ? Math.min(trim.end, captureDuration) : captureDuration;
+    let duration = trimEnd - trimStart;
+
+    const inputs = [...(trimStart > 0 ? ['-ss', trimStart.toFixed(3)] : []), '-i', capturePath];
+    let inputCount = 1;
+    const filters = [`[0:v]${videoFilter(profile, fps)}[video]`];
+    let audioLabel = null;
+
+    if (withAudio && narration) {
+        const narrationDuration = await probeDuration(narration.path);
+        const offsetSeconds = Math.max(0, narration.offsetSeconds - trimStart);
+        const narrationEnd = offsetSeconds + narrationDuration;
+        const delayMs = Math.round(offsetSeconds * 1000);
+
+        log('INFO', `Adding narration (${narrationDuration.toFixed(1)}s) at +${offsetSeconds.toFixed(2)}s`);
+        if (narration.trimToAudio) {
+            duration = Math.min(duration, narrationEnd);
+        }
+        if (narrationEnd > duration) {
+            log('WARN', `Narration runs ${(narrationEnd - duration).toFixed(1)}s past the end of the video and will be cut`);
+        }
+
+        inputs.push('-i', narration.path);
+        inputCount++;
+        filters.push(`[1:a]adelay=${delayMs}:all=1[narration]`);
+        audioLabel = '[narration]';
+
+        if (capturedAudio) {
+            filters.push('[0:a][narration]amix=inputs=2:duration=longest:normalize=0[mixed]');
+            audioLabel = '[mixed]';
+        }
+    } else if (withAudio) {
+        audioLabel = '0:a';
+    }
+
+    const slides = buildSlideIndex(slideStarts.map(start => start - trimStart), duration);
+    const metadataPath = `${capturePath}.ffmeta`;
+    const chapterArgs = [];
+    if (getProfile(profile).chapters && slides.length > 0) {
+        writeFfmetadata(slides, metadataPath);
+        chapterArgs.push('-map_chapters', String(inputCount));
+        inputs.push('-i', metadataPath);
+    }
+
+    try {
+        await runFfmpeg([
+            ...inputs,
+            '-filter_complex', filters.join(';'),
+            '-map', '[video]',
+            ...(audioLabel ? ['-map', audioLabel] : []),
+            ...chapterArgs,
+            '-t', duration.toFixed(3),
+            ...outputArgs(profile, outputPath, { withAudio: Boolean(audioLabel) })
+        ], {
+            signal,
+            onProgress: (seconds) => onProgress(Math.min(100, Math.round(seconds / duration * 1000) / 10))
+        });
+    } finally {
+        if (fs.existsSync(metadataPath)) fs.unlinkSync(metadataPath);
+    }
+
+    return { duration, slides };
+};
+
+module.exports = { CAPTURE_EXTENSION, CAPTURE_VIDEO_ARGS, CAPTURE_AUDIO_ARGS, encodeRecording };
@@ -0,0 +1,105 @@
+const { spawn } = require('child_process');
+const { log } = require('./log');
+
+// Wait for a child process to exit, giving up after timeoutMs
+const waitForExit = (child, timeoutMs) => {
+    return new Promise(resolve => {
+        if (child.exitCode !== null || child.signalCode !== null) {
+            return resolve(true);
+        }
+        const timeout = setTimeout(() => resolve(false), timeoutMs);
+        child.once('close', () => {
+            clearTimeout(timeout);
+            resolve(true);
+        });
+    });
+};
+
+// Send ffmpeg the same "q" a user would type so it flushes and writes the
+// container trailer; fall back to SIGTERM if it does not respond in time
+const stopFfmpeg = async (ffmpegProcess, timeoutMs = 10000) => {
+    if (ffmpegProcess.exitCode !== null) return;
+
+    // An EPIPE here only means ffmpeg is already on its way out
+    ffmpegProcess.stdin.once('error', () => {});
+    try {
+        ffmpegProcess.stdin.write('q');
+        ffmpegProcess.stdin.end();
+    } catch (error) {
+        log('WARN', `Could not send quit to ffmpeg: ${error.message}`);
+    }
+
+    if (!await waitForExit(ffmpegProcess, timeoutMs)) {
+        log('WARN', 'ffmpeg did not quit in time, sending SIGTERM');
+        ffmpegProcess.kill('SIGTERM');
+        await waitForExit(ffmpegProcess, 5000);
+    }
+};
+
+// "HH:MM:SS.xx" from ffmpeg's progress lines, in seconds
+const parseFfmpegTime = (value) => {
+    const [hours, minutes, seconds] = value.split(':').map(parseFloat);
+    return hours * 3600 + minutes * 60 + seconds;
+};
+
+// Run a one-shot ffmpeg command, rejecting with the last stderr line on failure.
+// onProgress receives the output position in seconds as ffmpeg reports it;
+// aborting the signal kills ffmpeg and rejects with the abort reason.
+const runFfmpeg = (args, { signal, onProgress } = {}) => {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(signal.reason);
+        }
+
+        const ffmpeg = spawn('ffmpeg', ['-hide_banner', '-y', ...args], { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+
+        const onAbort = () => ffmpeg.kill('SIGKILL');
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        ffmpeg.stderr.on('data', (data) => {
+            const output = data.toString();
+            stderr = (stderr + output).slice(-4000);
+
+            const timeMatch = output.match(/time=\s*(\d+:\d+:\d+(?:\.\d+)?)/);
+            if (timeMatch && onProgress) {
+                onProgress(parseFfmpegTime(timeMatch[1]), timeMatch[1]);
+            }
+        });
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (signal && signal.aborted) return reject(signal.reason);
+            if (code === 0) return resolve();
+            const lastLine = stderr.trim().split('\n').pop();
+            reject(new Error(`ffmpeg exited with code ${code}: ${lastLine}`));
+        });
+    });
+};
+
+// Container duration in seconds, as reported by ffprobe
+const probeDuration = (filePath) => {
+    return new Promise((resolve, reject) => {
+        const ffprobe = spawn('ffprobe', [
+            '-v', 'error',
+            '-show_entries', 'format=duration',
+            '-of', 'default=noprint_wrappers=1:nokey=1',
+            filePath
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+        let output = '';
+
+        ffprobe.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+        ffprobe.on('error', reject);
+        ffprobe.on('close', (code) => {
+            const duration = parseFloat(output.trim());
+            if (code !== 0 || isNaN(duration)) {
+                return reject(new Error(`Could not read duration of ${filePath}`));
+            }
+            resolve(duration);
+        });
+    });
+};
+
+module.exports = { runFfmpeg, probeDuration, parseFfmpegTime, stopFfmpeg, waitForExit };
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { log, withLogContext } = require('./log');
+
+// Job lifecycle: queued -> launching -> recording -> encoding -> done | failed | cancelled
+const ACTIVE_STATES = ['launching', 'recording', 'encoding'];
+const FINAL_STATES = ['done', 'failed', 'cancelled'];
+
+// onFinish(job) is called whenever a job reaches a final state. Jobs that
+// had already finished are dropped when the state file is loaded, since their
+// history is kept elsewhere, unless retain(job) says they are still needed.
+const createJobQueue = ({ stateFile, worker, concurrency = 1, onFinish = () => {}, retain = () => false }) => {
+    const jobs = new Map();
+    const pending = [];
+    // Abort controllers for running jobs, keyed by job id
+    const running = new Map();
+    // Live notifications, emitted under the job id:
+    //   { type: 'status' }          the job changed state (or got its result)
+    //   { type: 'progress' }        job.progress changed
+    //   { type, data }              anything the worker passes to notify()
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+
+    const now = () => new Date().toISOString();
+
+    // Write to a temp file first so a crash mid-write never leaves truncated JSON behind
+    const save = () => {
+        const tmpFile = `${stateFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify([...jobs.values()], null, 2));
+        fs.renameSync(tmpFile, stateFile);
+    };
+
+    const load = () => {
+        if (!fs.existsSync(stateFile)) return;
+
+        let saved;
+        try {
+            saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        } catch (error) {
+            log('WARN', `Ignoring unreadable job state file ${stateFile}: ${error.message}`);
+            return;
+        }
+
+        saved.forEach(job => {
+            if (FINAL_STATES.includes(job.status) && !retain(job)) return;
+            // Anything that was mid-recording died with the previous process.
+            // It stays until the next start so its failure can be reported.
+            if (ACTIVE_STATES.includes(job.status)) {
+                job.status = 'failed';
+                job.error = 'Interrupted by server restart';
+                job.finishedAt = now();
+            }
+            jobs.set(job.id, job);
+            if (job.status === 'queued') {
+                pending.push(job.id);
+            }
+        });
+
+        save();
+        log('INFO', `Restored ${jobs.size} of ${saved.length} job(s) from ${stateFile} (${pending.length} queued)`);
+    };
+
+    const update = (job, changes) => {
+        Object.assign(job, changes, { updatedAt: now() });
+        save();
+        if (changes.status) events.emit(job.id, { type: 'status' });
+    };
+
+    const finish = (job, changes) => {
+        update(job, { ...changes, finishedAt: now() });
+        try {
+            onFinish(job);
+        } catch (error) {
+            log('ERROR', `Job ${job.id} finish handler failed: ${error.message}`);
+        }
+    };
+
+    // Progress ticks arrive several times a second, so they stay in memory
+    // and are written out with the next status change
+    const setProgress = (job, progress) => {
+        Object.assign(job.progress, progress);
+        events.emit(job.id, { type: 'progress' });
+    };
+
+    const runJob = async (job) => {
+        const controller = new AbortController();
+        const { signal } = controller;
+        running.set(job.id, controller);
+        update(job, { startedAt: now() });
+
+        try {
+            // Everything logged on the job's behalf can be told apart from other jobs' lines
+            const result = await withLogContext(job.id, () => worker(job, {
+                signal,
+                setStatus: status => update(job, { status }),
+                setProgress: progress => setProgress(job, progress),
+                notify: (type, data) => events.emit(job.id, { type, data })
+            }));
+            finish(job, { status: signal.aborted ? 'cancelled' : 'done', result });
+        } catch (error) {
+            finish(job, { status: signal.aborted ? 'cancelled' : 'failed', error: error.message });
+        } finally {
+            running.delete(job.id);
+            setImmediate(drain);
+        }
+    };
+
+    const drain = () => {
+        while (running.size < concurrency && pending.length > 0) {
+            runJob(jobs.get(pending.shift()));
+        }
+    };
+
+    const enqueue = (id, params) => {
+        const job = {
+            id,
+            status: 'queued',
+            params,
+            progress: {},
+            result: null,
+            error: null,
+            createdAt: now(),
+            updatedAt: now(),
+            startedAt: null,
+            finishedAt: null
+        };
+        jobs.set(id, job);
+        pending.push(id);
+        save();
+        setImmediate(drain);
+        return job;
+    };
+
+    const get = (id) => jobs.get(id);
+
+    const list = () => [...jobs.values()];
+
+    const remove = (id) => {
+        const job = jobs.get(id);
+        if (!job || !FINAL_STATES.includes(job.status)) return false;
+        jobs.delete(id);
+        save();
+        return true;
+    };
+
+    const position = (id) => pending.indexOf(id);
+
+    // Listen to one job's notifications; returns the function that stops listening
+    const subscribe = (id, listener) => {
+        events.on(id, listener);
+        return () => events.off(id, listener);
+    };
+
+    // Queued jobs are dropped straight away; running jobs get their signal aborted
+    // and the worker decides what to keep via the abort reason
+    const cancel = (id, { keepPartial = false } = {}) => {
+        const job = jobs.get(id);
+        if (!job || FINAL_STATES.includes(job.status)) return false;
+
+        const index = pending.indexOf(id);
+        if (index !== -1) {
+            pending.splice(index, 1);
+            finish(job, { status: 'cancelled', error: 'Recording cancelled' });
+            return true;
+        }
+
+        const reason = new Error('Recording cancelled');
+        reason.keepPartial = keepPartial;
+        running.get(id).abort(reason);
+        return true;
+    };
+
+    const start = () => {
+        fs.mkdirSync(path.dirname(path.resolve(stateFile)), { recursive: true });
+        load();
+        setImmediate(drain);
+    };
+
+    return {
+        start,
+        enqueue,
+        get,
+        list,
+        // Record extra state on a job (outside its worker) and save it
+        update: (id, changes) => update(jobs.get(id), changes),
+        remove,
+        cancel,
+        position,
+        subscribe,
+        isFinal: job => FINAL_STATES.includes(job.status)
+    };
+};
+
+module.exports = { createJobQueue, ACTIVE_STATES, FINAL_STATES };
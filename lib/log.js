@@ -0,0 +1,24 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+
+// Lines logged while running inside withLogContext(id, fn), however deep in
+// the helper modules, are also emitted as 'line' events tagged with that id
+// so they can be streamed to whoever is watching
+const logEvents = new EventEmitter();
+logEvents.setMaxListeners(0);
+const context = new AsyncLocalStorage();
+
+const withLogContext = (id, fn) => context.run(id, fn);
+
+// Console logger shared by the API server and its helper modules
+const log = (level, message) => {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${level}] ${message}`);
+
+    const id = context.getStore();
+    if (id) {
+        logEvents.emit('line', { id, timestamp, level, message });
+    }
+};
+
+module.exports = { log, logEvents, withLogContext };
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseTimings, validateTimings, parseTailHold } = require('./timings');
+const { PROFILE_NAMES, DEFAULT_PROFILE, getProfile } = require('./profiles');
+const { parseVideoSettings } = require('./video-settings');
+const { SOURCE_NAMES, getSource, detectSource, checkDeckUrl } = require('./sources');
+const { DISPLAY_MODES, DEFAULT_DISPLAY_MODE } = require('./recorder');
+
+// Decks for the command line, given as flags to `slide-record record` or as
+// entries of a `slide-record batch` manifest. A deck is:
+//   name        label for logs and the report; also the default file name
+//   url         the deck's address; or
+//   file        path of a PDF or PPTX to record instead
+//   source      source adapter (lib/sources); detected when left out
+//   timings     "5,8,12" or an array, as for POST /record
+//   output      where the video goes; <name><extension> when left out
+//   profile, width, height, fps, deviceScaleFactor, tailHold, display
+//               as for POST /record, display being one of DISPLAY_MODES
+// Relative paths are taken from baseDir, and outputs from outputDir.
+// Returns { deck } with recordDeck options, or { error }.
+const parseDeckSpec = (spec, { baseDir = process.cwd(), outputDir = baseDir } = {}) => {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        return { error: 'Each deck must be a mapping of settings' };
+    }
+    const name = spec.name === undefined ? null : String(spec.name);
+
+    if (Boolean(spec.url) === Boolean(spec.file)) {
+        return { error: 'Give either url or file' };
+    }
+    // A local deck is given as file, never as a file:// url
+    const urlError = checkDeckUrl(spec.url ? String(spec.url) : null);
+    if (urlError) {
+        return { error: urlError.replace('slideUrl', 'url') };
+    }
+    const deckFile = spec.file ? path.resolve(baseDir, String(spec.file)) : null;
+    if (deckFile && !fs.existsSync(deckFile)) {
+        return { error: `Deck file ${deckFile} does not exist` };
+    }
+
+    const sourceName = spec.source || detectSource({ url: spec.url || null, upload: deckFile && { originalname: deckFile } });
+    const source = getSource(sourceName);
+    if (!source) {
+        return { error: spec.source
+            ? `Invalid source. Choose one of: ${SOURCE_NAMES.join(', ')}`
+            : 'Could not tell what kind of deck this is. Name it with source.' };
+    }
+    if (source.input === 'url' && !spec.url) {
+        return { error: `The ${source.name} source needs a url` };
+    }
+    if (source.input === 'file' && !deckFile) {
+        return { error: `The ${source.name} source needs a file` };
+    }
+
+    // YAML reads "5, 8, 12" as a string and [5, 8, 12] as a list; both are fine
+    const timings = parseTimings(typeof spec.timings === 'number' ? String(spec.timings) : spec.timings);
+    if (!timings) {
+        return { error: 'Invalid timings. Give comma-separated seconds or a list.' };
+    }
+    const timingsError = validateTimings(timings);
+    if (timingsError) {
+        return { error: timingsError };
+    }
+
+    const profile = spec.profile || DEFAULT_PROFILE;
+    if (!getProfile(profile)) {
+        return { error: `Invalid profile. Choose one of: ${PROFILE_NAMES.join(', ')}` };
+    }
+
+    const display = spec.display || DEFAULT_DISPLAY_MODE;
+    if (!DISPLAY_MODES.includes(display)) {
+        return { error: `Invalid display. Choose one of: ${DISPLAY_MODES.join(', ')}` };
+    }
+
+    const { video, error: videoError } = parseVideoSettings(spec);
+    if (videoError) {
+        return { error: videoError };
+    }
+
+    const { tailHold, error: tailHoldError } = parseTailHold(spec.tailHold);
+    if (tailHoldError) {
+        return { error: tailHoldError };
+    }
+
+    if (!spec.output && !name) {
+        return { error: 'Give an output path, or a name to derive one from' };
+    }
+    const outputPath = path.resolve(outputDir, spec.output ? String(spec.output) : `${name}${getProfile(profile).extension}`);
+
+    return {
+        deck: {
+            name: name || path.basename(outputPath),
+            slideUrl: spec.url ? String(spec.url) : null,
+            deckFile,
+            source: source.name,
+            timings,
+            profile,
+            display,
+            video,
+            tailHold,
+            outputPath
+        }
+    };
+};
+
+// A batch manifest, in YAML or JSON (which YAML reads too):
+//   outputDir: recordings     where outputs go, relative to the manifest
+//   defaults: { ... }         settings every deck starts from
+//   decks: [ { ... }, ... ]   the decks, as for parseDeckSpec
+// outputDir overrides the manifest's own. Returns { decks } or { error }
+// naming the first deck that is wrong.
+const loadManifest = (manifestPath, { outputDir = null } = {}) => {
+    let manifest;
+    try {
+        manifest = yaml.load(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        return { error: `Could not read manifest ${manifestPath}: ${error.message}` };
+    }
+
+    const entries = Array.isArray(manifest) ? manifest : manifest && manifest.decks;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return { error: 'The manifest lists no decks. Expected a list, or a decks: list.' };
+    }
+
+    const baseDir = path.dirname(path.resolve(manifestPath));
+    const defaults = (!Array.isArray(manifest) && manifest.defaults) || {};
+    const options = {
+        baseDir,
+        outputDir: outputDir
+            ? path.resolve(outputDir)
+            : path.resolve(baseDir, (!Array.isArray(manifest) && manifest.outputDir) || '.')
+    };
+
+    const decks = [];
+    for (let i = 0; i < entries.length; i++) {
+        const spec = entries[i] && typeof entries[i] === 'object' ? { name: `deck-${i + 1}`, ...defaults, ...entries[i] } : entries[i];
+        const { deck, error } = parseDeckSpec(spec, options);
+        if (error) {
+            return { error: `Deck ${i + 1}${spec && spec.name ? ` (${spec.name})` : ''}: ${error}` };
+        }
+
+        const clash = decks.find(other => other.outputPath === deck.outputPath);
+        if (clash) {
+            return { error: `Deck ${i + 1} (${deck.name}): writes to ${deck.outputPath}, as ${clash.name} does` };
+        }
+        decks.push(deck);
+    }
+    return { decks };
+};
+
+module.exports = { parseDeckSpec, loadManifest };
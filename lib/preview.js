@@ -0,0 +1,68 @@
+const { spawn } = require('child_process');
+
+// Pictures of a job's X display while it records, so a deck hidden behind a
+// cookie banner or a sign-in page shows up before the video is finished.
+// These grab the whole screen, not just the page, so browser dialogs show too.
+
+const MJPEG_BOUNDARY = 'frame';
+
+const grabArgs = (resolution) => [
+    '-hide_banner', '-loglevel', 'error',
+    '-f', 'x11grab',
+    '-video_size', resolution
+];
+
+const scaleArgs = (width) => (width ? ['-vf', `scale=${width}:-2`] : []);
+
+// One PNG of the display as it is now, optionally scaled to width pixels
+const grabFrame = (display, resolution, { width = null } = {}) => {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', [
+            ...grabArgs(resolution),
+            '-i', `${display}.0+0,0`,
+            '-frames:v', '1',
+            ...scaleArgs(width),
+            '-f', 'image2pipe', '-c:v', 'png', '-'
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+        const chunks = [];
+        let stderr = '';
+
+        ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+        ffmpeg.stderr.on('data', (data) => {
+            stderr = (stderr + data.toString()).slice(-2000);
+        });
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            if (code === 0 && chunks.length > 0) return resolve(Buffer.concat(chunks));
+            reject(new Error(`Could not grab ${display}: ${stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`}`));
+        });
+    });
+};
+
+// A multipart/x-mixed-replace JPEG stream of the display, written to output
+// at fps frames a second until the signal aborts. Browsers play it in a
+// plain <img>. Resolves once ffmpeg has exited.
+const streamFrames = (display, resolution, output, { fps, width = null, signal }) => {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', [
+            ...grabArgs(resolution),
+            '-framerate', String(fps),
+            '-i', `${display}.0+0,0`,
+            ...scaleArgs(width),
+            '-c:v', 'mjpeg', '-q:v', '7',
+            '-f', 'mpjpeg', '-boundary_tag', MJPEG_BOUNDARY, '-'
+        ], { stdio: ['ignore', 'pipe', 'ignore'] });
+
+        const onAbort = () => ffmpeg.kill('SIGTERM');
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        ffmpeg.stdout.pipe(output, { end: false });
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', () => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        });
+    });
+};
+
+module.exports = { MJPEG_BOUNDARY, grabFrame, streamFrames };
@@ -0,0 +1,100 @@
+const path = require('path');
+
+const H264_VIDEO = ['-c:v', 'libx264', '-preset', 'medium', '-crf', '20', '-pix_fmt', 'yuv420p'];
+const AAC_AUDIO = ['-c:a', 'aac', '-b:a', '192k'];
+
+// Delivery profiles for POST /record. Each one names its container and the
+// quality, bitrate and framerate settings ffmpeg uses to produce it.
+// chapters marks containers that can carry per-slide chapter metadata.
+const PROFILES = {
+    mp4: {
+        container: 'mp4',
+        chapters: true,
+        extension: '.mp4',
+        fps: 30,
+        video: H264_VIDEO,
+        audio: AAC_AUDIO,
+        muxer: ['-movflags', '+faststart']
+    },
+    'mp4-silent': {
+        container: 'mp4',
+        chapters: true,
+        extension: '.mp4',
+        fps: 30,
+        video: H264_VIDEO,
+        audio: null,
+        muxer: ['-movflags', '+faststart']
+    },
+    webm: {
+        container: 'webm',
+        chapters: true,
+        extension: '.webm',
+        fps: 30,
+        // Constant quality VP9; -b:v 0 lets -crf alone decide the bitrate
+        video: ['-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0', '-deadline', 'good', '-cpu-used', '4', '-row-mt', '1', '-pix_fmt', 'yuv420p'],
+        audio: ['-c:a', 'libopus', '-b:a', '128k'],
+        muxer: []
+    },
+    gif: {
+        container: 'gif',
+        extension: '.gif',
+        fps: 10,
+        // Meant for short decks: one shared palette keeps text crisp and the file small
+        filter: 'scale=960:-2:flags=lanczos,split[frames][palette_in];[palette_in]palettegen=stats_mode=diff[palette];[frames][palette]paletteuse=dither=bayer:bayer_scale=3',
+        video: [],
+        audio: null,
+        muxer: ['-loop', '0']
+    },
+    hls: {
+        container: 'hls',
+        extension: '.m3u8',
+        directory: true,
+        fps: 30,
+        // A keyframe every 2s whatever the framerate, so every 6s segment starts on one
+        video: ['-c:v', 'libx264', '-preset', 'medium', '-b:v', '5M', '-maxrate', '6M', '-bufsize', '10M', '-force_key_frames', 'expr:gte(t,n_forced*2)', '-sc_threshold', '0', '-pix_fmt', 'yuv420p'],
+        audio: ['-c:a', 'aac', '-b:a', '128k'],
+        muxer: ['-f', 'hls', '-hls_time', '6', '-hls_playlist_type', 'vod']
+    }
+};
+
+const DEFAULT_PROFILE = 'mp4';
+const PROFILE_NAMES = Object.keys(PROFILES);
+
+const getProfile = (name = DEFAULT_PROFILE) => PROFILES[name] || null;
+
+// Where a recording ends up, relative to the recordings directory. HLS output
+// is a playlist plus segments, so it gets a directory of its own.
+const outputFilename = (profileName, recordingId) => {
+    const profile = getProfile(profileName);
+    const baseName = `slideshow_${recordingId}`;
+    return profile.directory
+        ? path.posix.join(baseName, `index${profile.extension}`)
+        : `${baseName}${profile.extension}`;
+};
+
+// Video filter chain for this profile. A framerate from the request wins over
+// the profile's own. Everything but GIF is scaled to even dimensions because
+// yuv420p cannot represent odd widths or heights.
+const videoFilter = (profileName, fps = null) => {
+    const profile = getProfile(profileName);
+    const shape = profile.filter || 'scale=trunc(iw/2)*2:trunc(ih/2)*2';
+    return `fps=${fps || profile.fps},${shape}`;
+};
+
+// Codec and muxer arguments for this profile's output file
+const outputArgs = (profileName, outputPath, { withAudio }) => {
+    const profile = getProfile(profileName);
+    const args = [
+        ...profile.video,
+        ...(withAudio && profile.audio ? profile.audio : ['-an']),
+        ...profile.muxer
+    ];
+
+    if (profile.container === 'hls') {
+        args.push('-hls_segment_filename', path.join(path.dirname(outputPath), 'segment_%03d.ts'));
+    }
+
+    return [...args, outputPath];
+};
+
+module.exports = { PROFILES, PROFILE_NAMES, DEFAULT_PROFILE, getProfile, outputFilename, videoFilter, outputArgs };
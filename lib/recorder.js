@@ -0,0 +1,595 @@
+const puppeteer = require('puppeteer');
+const { spawn, execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+const { sleep } = require('./sleep');
+const { stopFfmpeg } = require('./ffmpeg');
+const { createDisplayPool } = require('./display-pool');
+const { createNullSink, removeNullSink } = require('./audio-sink');
+const { timingsFromClips, concatClips } = require('./audio');
+const { CAPTURE_EXTENSION, CAPTURE_VIDEO_ARGS, CAPTURE_AUDIO_ARGS, encodeRecording } = require('./encoder');
+const { DEFAULT_PROFILE } = require('./profiles');
+const { DEFAULT_VIDEO, displayGeometry } = require('./video-settings');
+const { readSlideState, advanceSlide, playBuild } = require('./slide-advance');
+const { buildSchedule, slideCount } = require('./timings');
+const { DEFAULT_SOURCE, getSource, detectSource, checkDeckUrl } = require('./sources');
+const { getTtsProvider, synthesizeSlides } = require('./tts');
+const { startScreencast } = require('./screencast');
+
+// The recorder every front-end shares: the API server, the simple servers
+// and the command line all open, play and film decks through this module and
+// differ only in the options they pass to recordDeck.
+
+// Where Chrome runs and how it is filmed:
+//   xvfb      a virtual display of its own, grabbed with ffmpeg
+//   host      the desktop in $DISPLAY, in plain sight, grabbed with ffmpeg
+//   headless  no display at all; Chrome's own frames (see lib/screencast.js)
+const DISPLAY_MODES = ['xvfb', 'host', 'headless'];
+const DEFAULT_DISPLAY_MODE = 'xvfb';
+
+// Seconds the last slide stays up in the finished video unless told otherwise
+const DEFAULT_TAIL_HOLD = 3;
+// Extra capture after the tail hold so trimming never runs short of frames
+const TAIL_MARGIN = 1;
+// Decks longer than this are cut short by inspectDeck
+const MAX_INSPECT_SLIDES = 500;
+const THUMBNAIL_WIDTH = 480;
+
+// Commands missing from the PATH. needsDisplay is false for headless Chrome.
+// ffprobe reads the length of every encoded output and narration clip.
+const checkDependencies = (extra = [], { needsDisplay = true } = {}) => {
+    const deps = [needsDisplay && 'xvfb-run', 'google-chrome', 'ffmpeg', 'ffprobe', 'node', ...extra].filter(Boolean);
+    const missing = deps.filter(dep => {
+        try {
+            execSync(`which ${dep}`, { stdio: 'ignore' });
+            return false;
+        } catch {
+            return true;
+        }
+    });
+    return missing;
+};
+
+// Headful Chrome in kiosk mode on the given display; recordings and
+// inspections both see the deck through this same setup. Without a display
+// Chrome runs headless, for screencast recordings. userDataDir is a job's
+// private copy of a stored session, if it uses one.
+const launchBrowser = ({ display, video = DEFAULT_VIDEO, audioSink = null, userDataDir = null }) => {
+    const geometry = displayGeometry(video);
+    log('INFO', display ? `Launching Chrome on virtual display ${display}...` : 'Launching headless Chrome...');
+    
+    return puppeteer.launch({
+        headless: display ? false : 'new',
+        executablePath: 'google-chrome',
+        // Each front-end shuts down in its own way (the CLI finishes its report
+        // first); Puppeteer still kills Chrome whenever the process exits
+        handleSIGINT: false,
+        handleSIGTERM: false,
+        handleSIGHUP: false,
+        ...(userDataDir ? { userDataDir } : {}),
+        env: { 
+            ...process.env,
+            ...(display ? { DISPLAY: display } : {}),
+            // Route Chrome's audio into this job's own sink when capturing audio
+            ...(audioSink ? { PULSE_SINK: audioSink.sinkName } : {})
+        },
+        ignoreDefaultArgs: [
+            '--enable-automation',
+            '--enable-blink-features=AutomationControlled'
+        ],
+        args: [
+            '--start-fullscreen',
+            '--kiosk',
+            '--enable-gpu',
+            '--use-gl=swiftshader',
+            '--enable-webgl',
+            '--enable-accelerated-2d-canvas',
+            '--disable-gpu-sandbox',
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-web-security',
+            '--disable-features=VizDisplayCompositor',
+            '--disable-infobars',
+            '--no-first-run',
+            '--disable-extensions',
+            '--disable-background-timer-throttling',
+            '--disable-backgrounding-occluded-windows',
+            '--disable-renderer-backgrounding',
+            `--force-device-scale-factor=${video.deviceScaleFactor}`,
+            '--high-dpi-support=1',
+            '--force-color-profile=srgb',
+            `--window-size=${geometry.windowSize}`,
+            '--window-position=0,0',
+            '--disable-blink-features=AutomationControlled',
+            '--disable-ipc-flooding-protection',
+            '--disable-xss-auditor',
+            '--disable-bundled-ppapi-flash',
+            '--disable-plugins-discovery',
+            '--ignore-ssl-errors',
+            '--ignore-certificate-errors',
+            '--ignore-certificate-errors-spki-list',
+            '--ignore-ssl-errors-list',
+            '--disable-default-apps',
+            // Embedded videos must be able to start without a click to be heard
+            ...(audioSink ? ['--autoplay-policy=no-user-gesture-required'] : [])
+        ]
+    });
+};
+
+// Open the deck in a new tab and let its source adapter bring up the first slide
+const openPresentation = async (browser, deckUrl, { source, video = DEFAULT_VIDEO, cookies = [], signal }) => {
+    const page = await browser.newPage();
+    await page.setViewport(displayGeometry(video).viewport);
+    if (cookies.length > 0) {
+        await page.setCookie(...cookies);
+    }
+    
+    // Remove automation detection
+    await page.evaluateOnNewDocument(() => {
+        Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+        Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3, 4, 5] });
+        Object.defineProperty(navigator, 'languages', { get: () => ['en-US', 'en'] });
+        window.chrome = { runtime: {} };
+        Object.defineProperty(navigator, 'permissions', {
+            get: () => ({ query: () => Promise.resolve({ state: 'granted' }) })
+        });
+    });
+    
+    log('INFO', `Loading ${source.label} presentation...`);
+    await page.goto(deckUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await source.enter(page, { signal });
+    
+    return page;
+};
+
+// Grab the virtual display with ffmpeg, along with the job's audio sink if it
+// has one. Returns when the capture started and how to stop it.
+const startScreenGrab = (display, geometry, outputPath, { audioSink, setProgress }) => {
+    const audioInputArgs = audioSink
+        ? ['-thread_queue_size', '1024', '-f', 'pulse', '-i', audioSink.monitor]
+        : [];
+    const ffmpegArgs = [
+        '-thread_queue_size', '1024',
+        '-f', 'x11grab',
+        '-video_size', geometry.resolution,
+        '-framerate', String(geometry.captureFps),
+        '-i', `${display}.0+0,0`,
+        ...audioInputArgs,
+        ...CAPTURE_VIDEO_ARGS,
+        ...(audioSink ? CAPTURE_AUDIO_ARGS : []),
+        '-y',
+        outputPath
+    ];
+    
+    // stdin stays open so the recording can be stopped with a graceful "q"
+    const ffmpegProcess = spawn('ffmpeg', ffmpegArgs, { stdio: ['pipe', 'ignore', 'pipe'] });
+    
+    ffmpegProcess.stderr.on('data', (data) => {
+        const output = data.toString().trim();
+        if (output.includes('frame=') || output.includes('time=')) {
+            log('INFO', `Recording: ${output.split(' ').pop()}`);
+        }
+        const timeMatch = output.match(/time=\s*(\S+)/);
+        if (timeMatch) {
+            setProgress({ ffmpegTime: timeMatch[1] });
+        }
+    });
+    
+    return { startedAt: Date.now(), stop: () => stopFfmpeg(ffmpegProcess) };
+};
+
+// display is the Xvfb display to grab, or null to record Chrome's own
+// frames headless (see lib/screencast.js)
+const recordSlideshow = async (deckUrl, steps, outputPath, { source, display, video = DEFAULT_VIDEO, audioSink, session = null, signal, finalHold = 5, setStatus = () => {}, setProgress = () => {}, onTransition = () => {} }) => {
+    let browser;
+    let capture;
+    let captureStartedAt;
+    let slideStartOffset = 0;
+    const geometry = displayGeometry(video);
+    
+    try {
+        browser = await launchBrowser({ display, video, audioSink, userDataDir: session && session.userDataDir });
+        const page = await openPresentation(browser, deckUrl, { source, video, cookies: session ? session.cookies : [], signal });
+        
+        signal.throwIfAborted();
+        
+        log('INFO', 'Starting screen recording...');
+        
+        // Lossless either way; encoded to the delivery profile later
+        capture = display
+            ? startScreenGrab(display, geometry, outputPath, { audioSink, setProgress })
+            : await startScreencast(page, outputPath, {
+                resolution: geometry.resolution,
+                fps: geometry.captureFps,
+                onProgress: ffmpegTime => setProgress({ ffmpegTime })
+            });
+        captureStartedAt = capture.startedAt;
+        
+        setStatus('recording');
+        setProgress({ captureStatus: 'running' });
+        
+        await sleep(3000, signal);
+        
+        // Execute slide transitions
+        log('INFO', 'Starting slide transitions...');
+        // Where slide 1 begins in the video; narration is aligned to this point
+        const slideStartedAt = Date.now();
+        slideStartOffset = (slideStartedAt - captureStartedAt) / 1000;
+        // When each slide actually came up, in seconds into the capture
+        const slideStarts = [slideStartOffset];
+        // What every scheduled keypress really did, confirmed on screen
+        const transitions = [];
+        // Set when a build press brought up the next slide early, so the rest
+        // of that slide's steps are dropped instead of running one slide ahead
+        let skipToSlide = null;
+        setProgress({ slide: 1, totalSlides: slideCount(steps), recordingStartedAt: new Date().toISOString() });
+        
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            if (skipToSlide !== null && step.slide < skipToSlide) continue;
+            if (skipToSlide === step.slide && step.type === 'slide') continue;
+            skipToSlide = null;
+            
+            // Measured from slide 1 rather than the previous press so keypress
+            // latency does not pile up and drift away from the soundtrack
+            const waitTime = slideStartedAt + step.at * 1000 - Date.now();
+            if (waitTime > 0) {
+                const action = step.type === 'slide' ? `advancing to slide ${step.slide}` : `the next build on slide ${step.slide}`;
+                log('INFO', `Waiting ${waitTime/1000}s before ${action}...`);
+                await sleep(waitTime, signal);
+            }
+            
+            const press = step.type === 'slide' ? await advanceSlide(page, source, signal) : await playBuild(page, source, signal);
+            const at = (press.pressedAt - captureStartedAt) / 1000;
+            transitions.push({
+                slide: step.slide,
+                type: step.type,
+                scheduledAt: step.at,
+                at,
+                outcome: press.outcome,
+                presses: press.presses,
+                slideId: press.slideId
+            });
+            onTransition({ ...transitions[transitions.length - 1], at: at - slideStartOffset });
+            
+            if (step.type === 'build' && press.outcome === 'build') {
+                log('INFO', `Played build on slide ${step.slide} at ${(at - slideStartOffset).toFixed(2)}s`);
+                continue;
+            }
+            
+            if (press.outcome !== 'slide') {
+                const remaining = steps.length - i - 1;
+                log('WARN', `Press for slide ${step.slide} did not show a new slide (${press.outcome}); ${remaining} step(s) skipped`);
+                break;
+            }
+            
+            const slide = slideStarts.length + 1;
+            if (step.type === 'build') {
+                log('WARN', `Build on slide ${step.slide} brought up slide ${slide}; skipping the rest of slide ${step.slide}'s builds`);
+                skipToSlide = slide;
+            }
+            
+            slideStarts.push(at);
+            log('INFO', `Advanced to slide ${slide} at ${(at - slideStartOffset).toFixed(2)}s (scheduled ${step.at}s, ${press.presses} press(es))`);
+            setProgress({ slide });
+        }
+        
+        log('INFO', 'Recording final slide...');
+        await sleep(finalHold * 1000, signal);
+        
+        return { slideStartOffset, slideStarts, transitions };
+        
+    } finally {
+        if (capture) {
+            log('INFO', 'Stopping screen recording...');
+            await capture.stop();
+            setProgress({ captureStatus: 'done' });
+        }
+        
+        if (browser) {
+            log('INFO', 'Closing browser...');
+            await browser.close();
+        }
+    }
+};
+
+// Step through a deck without recording it, saving a thumbnail of each slide
+// into thumbnailDir and counting the click animations on the way
+const inspectDeck = async (deckUrl, thumbnailDir, { source, display, video = DEFAULT_VIDEO, session = null, signal, maxSlides = MAX_INSPECT_SLIDES, thumbnailWidth = THUMBNAIL_WIDTH }) => {
+    let browser;
+    
+    try {
+        browser = await launchBrowser({ display, video, userDataDir: session && session.userDataDir });
+        const page = await openPresentation(browser, deckUrl, { source, video, cookies: session ? session.cookies : [], signal });
+        const { width, height } = page.viewport();
+        const slides = [];
+        fs.mkdirSync(thumbnailDir, { recursive: true });
+        
+        while (slides.length < maxSlides) {
+            signal.throwIfAborted();
+            const thumbnail = `slide_${String(slides.length + 1).padStart(3, '0')}.png`;
+            await page.screenshot({
+                path: path.join(thumbnailDir, thumbnail),
+                clip: { x: 0, y: 0, width, height, scale: thumbnailWidth / width }
+            });
+            const { slideId } = await readSlideState(page, source);
+            const advance = await advanceSlide(page, source, signal);
+            
+            // Every press before the one that changed slide played an animation
+            slides.push({ slide: slides.length + 1, slideId, builds: advance.presses - 1, thumbnail });
+            log('INFO', `Inspected slide ${slides.length} (${advance.presses - 1} build(s))`);
+            if (advance.outcome !== 'slide') break;
+        }
+        
+        return slides;
+        
+    } finally {
+        if (browser) {
+            await browser.close();
+        }
+    }
+};
+
+// The X display Chrome should use in a display mode (null when headless)
+// and how to hand it back afterwards
+const acquireDisplay = async (mode, { displayPool, resolution }) => {
+    if (mode === 'headless') {
+        return { display: null, release: () => {} };
+    }
+    if (mode === 'host') {
+        if (!process.env.DISPLAY) throw new Error('Display mode host needs DISPLAY to be set');
+        return { display: process.env.DISPLAY, release: () => {} };
+    }
+
+    // Callers running several recordings share a pool; anyone else gets a display just for this one
+    const pool = displayPool || createDisplayPool();
+    const session = await pool.acquire(resolution);
+    return { display: session.display, release: () => pool.release(session) };
+};
+
+// Everything a recording leaves in the work directory is named after workPrefix
+const removeWorkFiles = (workPrefix) => {
+    const dir = path.dirname(workPrefix);
+    const prefix = `${path.basename(workPrefix)}.`;
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir)
+        .filter(file => file.startsWith(prefix))
+        .forEach(file => fs.rmSync(path.join(dir, file), { recursive: true, force: true }));
+};
+
+// Record a deck into a finished video. Options:
+//   slideUrl          the deck's address; or
+//   deckFile          path of a PDF or PPTX to record instead
+//   source            source adapter name (lib/sources); detected when left out
+//   timings           when to advance, plain or per slide (lib/timings.js); or
+//   slideAudio        paths of one audio clip per slide, whose lengths time the
+//                     slides and which become the soundtrack; or
+//   notesNarration    { provider, voice } to read the speaker notes aloud (lib/tts)
+//   narration         path of one narration track, starting with slide 1
+//   trimToAudio       end the video when the narration does
+//   captureAudio      also record what the deck plays (not when headless)
+//   trimPreRoll       cut what was filmed before slide 1 (default true)
+//   tailHold          seconds the last slide stays up (default from the timings)
+//   display           display mode, one of DISPLAY_MODES (default xvfb)
+//   displayPool       pool to take xvfb displays from (lib/display-pool.js)
+//   video             { width, height, fps, deviceScaleFactor } (lib/video-settings.js)
+//   profile           delivery profile (lib/profiles.js, default mp4)
+//   outputPath        where the finished video goes
+//   partialOutputPath where an MP4 of what was filmed goes when the signal is
+//                     aborted with reason.keepPartial; without it nothing is kept
+//   workPrefix        path prefix for intermediate files; every <workPrefix>.*
+//                     is deleted once the recording is over
+//   userDataDir       Chrome profile directory, e.g. a signed-in session; a
+//                     throwaway profile otherwise
+//   cookies           cookies to set before the deck opens
+//   signal            AbortSignal that cancels the recording
+//   onStatus          called with 'launching', 'recording' and 'encoding'
+//   onProgress        called with changes to the progress fields (slide,
+//                     totalSlides, ffmpegTime, captureStatus, encodePercent, ...)
+//   onTransition      called with each slide change or animation step as it plays
+//   onDisplay         called with the X display while Chrome is on it, then null
+// Resolves with { slides, transitions, duration }: the slide index and the
+// confirmed advances in seconds into the video, and its length. A kept
+// partial recording resolves with { partial: true } instead.
+const recordDeck = async ({
+    slideUrl = null,
+    deckFile = null,
+    source: sourceName = null,
+    timings = null,
+    slideAudio = null,
+    notesNarration = null,
+    narration = null,
+    trimToAudio = false,
+    captureAudio = false,
+    trimPreRoll = true,
+    tailHold = null,
+    display: displayMode = DEFAULT_DISPLAY_MODE,
+    displayPool = null,
+    video = DEFAULT_VIDEO,
+    profile = DEFAULT_PROFILE,
+    outputPath,
+    partialOutputPath = null,
+    workPrefix,
+    userDataDir = null,
+    cookies = [],
+    signal = new AbortController().signal,
+    onStatus = () => {},
+    onProgress = () => {},
+    onTransition = () => {},
+    onDisplay = () => {}
+}) => {
+    const source = getSource(sourceName || detectSource({ url: slideUrl, upload: deckFile && { originalname: deckFile } }) || DEFAULT_SOURCE);
+    if (!source) {
+        throw new Error(`Unknown source ${sourceName}`);
+    }
+    // Every front-end checks this too; the recorder must not depend on it
+    const urlError = checkDeckUrl(slideUrl);
+    if (urlError) {
+        throw new Error(urlError);
+    }
+    if (!DISPLAY_MODES.includes(displayMode)) {
+        throw new Error(`Unknown display mode ${displayMode}. Choose one of: ${DISPLAY_MODES.join(', ')}`);
+    }
+    if (displayMode === 'headless' && captureAudio) {
+        throw new Error('captureAudio needs a display; headless recordings capture pictures only');
+    }
+
+    // Lossless first-pass capture, removed once the delivery file is encoded
+    const capturePath = `${workPrefix}.capture${CAPTURE_EXTENSION}`;
+    let soundtrack = narration;
+    let schedule = null;
+    let finalTailHold = null;
+    let displaySession = null;
+    let audioSink = null;
+
+    try {
+        onStatus('launching');
+
+        const ttsCommand = notesNarration ? getTtsProvider(notesNarration.provider).command : null;
+        const missing = checkDependencies(
+            [captureAudio && 'pactl', ttsCommand, ...source.dependencies].filter(Boolean),
+            { needsDisplay: displayMode === 'xvfb' }
+        );
+        if (missing.length > 0) {
+            throw new Error(`Missing dependencies: ${missing.join(', ')}`);
+        }
+        fs.mkdirSync(path.dirname(workPrefix), { recursive: true });
+
+        // What Chrome opens: the URL itself, or an uploaded deck made viewable
+        const deckUrl = await source.prepare({ url: slideUrl, file: deckFile, workPrefix, signal });
+
+        let clipPaths = slideAudio;
+
+        // Speaker notes read aloud become the per-slide clips
+        if (notesNarration) {
+            const deckText = source.readText
+                ? await source.readText({ url: slideUrl, file: deckFile, cookies, signal })
+                : null;
+            if (!deckText) {
+                throw new Error('Could not read the speaker notes. Narrating notes needs a Google Slides deck that can be downloaded, or an uploaded PPTX.');
+            }
+            clipPaths = await synthesizeSlides(
+                deckText.map(slide => slide.notes),
+                index => `${workPrefix}.tts-${String(index + 1).padStart(3, '0')}.wav`,
+                { provider: notesNarration.provider, voice: notesNarration.voice, signal }
+            );
+        }
+
+        // Per-slide clips: their lengths decide when each slide advances
+        if (clipPaths) {
+            const derived = await timingsFromClips(clipPaths);
+            schedule = buildSchedule(derived.timings);
+            // Keep the last slide up for its whole clip unless a hold was asked for
+            finalTailHold = tailHold || derived.durations[derived.durations.length - 1];
+            soundtrack = `${workPrefix}.soundtrack.wav`;
+            await concatClips(clipPaths, soundtrack);
+            log('INFO', `Derived timings from ${clipPaths.length} slide clip(s)`);
+        } else {
+            schedule = buildSchedule(timings);
+            // A hold on the last slide stands in for tailHold; without one the
+            // tail still runs past that slide's last animation
+            finalTailHold = tailHold || schedule.lastHold || schedule.lastBuild + DEFAULT_TAIL_HOLD;
+        }
+        log('INFO', `Schedule: ${schedule.steps.map(step => `${step.at}s ${step.type}`).join(', ')}`);
+
+        displaySession = await acquireDisplay(displayMode, { displayPool, resolution: displayGeometry(video).resolution });
+        if (displaySession.display) {
+            onDisplay(displaySession.display);
+        }
+        if (captureAudio) {
+            audioSink = await createNullSink(path.basename(workPrefix));
+        }
+        signal.throwIfAborted();
+
+        const { slideStartOffset, slideStarts, transitions } = await recordSlideshow(deckUrl, schedule.steps, capturePath, {
+            source,
+            display: displaySession.display,
+            video,
+            audioSink,
+            session: { userDataDir, cookies },
+            signal,
+            finalHold: finalTailHold + TAIL_MARGIN,
+            setStatus: onStatus,
+            setProgress: onProgress,
+            onTransition
+        });
+        onDisplay(null);
+
+        if (!fs.existsSync(capturePath)) {
+            throw new Error('Recording file was not created');
+        }
+
+        // Second pass, now that the browser is closed and the CPU is free
+        onStatus('encoding');
+        onProgress({ encodeStatus: 'running', encodePercent: 0 });
+
+        // Sources are fullscreen before the capture starts, so everything
+        // before slide 1's timing is warm-up (a change on screen there is the
+        // fullscreen notice fading, not the deck). Cut exactly there, so
+        // timings count from the first frame, and end tailHold seconds after
+        // the last slide appeared.
+        const trim = {
+            start: trimPreRoll ? slideStartOffset : 0,
+            end: slideStarts[slideStarts.length - 1] + finalTailHold
+        };
+        signal.throwIfAborted();
+
+        log('INFO', `Encoding ${profile} output...`);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        const { duration, slides } = await encodeRecording({
+            capturePath,
+            outputPath,
+            profile,
+            fps: video.fps,
+            slideStarts,
+            trim,
+            narration: soundtrack ? { path: soundtrack, offsetSeconds: slideStartOffset, trimToAudio } : null,
+            capturedAudio: Boolean(captureAudio),
+            signal,
+            onProgress: encodePercent => onProgress({ encodePercent })
+        });
+        onProgress({ encodeStatus: 'done', encodePercent: 100 });
+
+        return {
+            duration,
+            slides,
+            // Confirmed advances, in seconds into the finished video
+            transitions: transitions.map(transition => ({
+                ...transition,
+                at: Math.round((transition.at - trim.start) * 1000) / 1000
+            }))
+        };
+
+    } catch (error) {
+        if (signal.aborted && signal.reason.keepPartial && partialOutputPath && fs.existsSync(capturePath)) {
+            log('INFO', 'Recording cancelled, keeping partial video');
+            // The partial capture goes out as plain MP4 whatever profile was asked for
+            await encodeRecording({
+                capturePath,
+                outputPath: partialOutputPath,
+                profile: DEFAULT_PROFILE,
+                capturedAudio: Boolean(captureAudio)
+            });
+            return { partial: true };
+        }
+        throw error;
+    } finally {
+        // Always hand the display back, even if Chrome or ffmpeg crashed
+        onDisplay(null);
+        if (displaySession) displaySession.release();
+        await removeNullSink(audioSink);
+        removeWorkFiles(workPrefix);
+    }
+};
+
+module.exports = {
+    DISPLAY_MODES,
+    DEFAULT_DISPLAY_MODE,
+    checkDependencies,
+    launchBrowser,
+    openPresentation,
+    inspectDeck,
+    recordDeck
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+const { ACTIVE_STATES, FINAL_STATES } = require('./job-queue');
+
+// Fields GET /recordings can sort on
+const SORT_FIELDS = ['created', 'finishedAt', 'duration', 'fileSize', 'status'];
+const DEFAULT_SORT = '-created';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+// Every status a recording can have, as the job queue moves it along
+const STATUSES = ['queued', ...ACTIVE_STATES, ...FINAL_STATES];
+
+// Validate GET /recordings query parameters:
+//   sourceUrl   part of the deck's URL (or uploaded file name), any case
+//   status      one status, or several separated by commas
+//   from, to    ISO dates (or date-times) bounding when the job was created,
+//               both inclusive; a bare date in to includes that whole day
+//   sort        one of SORT_FIELDS, with a leading - for descending
+//   limit, offset  the page to return
+// Returns { query } for store.query, or { error }.
+const parseRecordingQuery = (params) => {
+    const query = { sourceUrl: null, statuses: null, from: null, to: null };
+
+    if (params.sourceUrl) query.sourceUrl = String(params.sourceUrl).toLowerCase();
+    if (params.status) {
+        query.statuses = String(params.status).split(',').map(status => status.trim()).filter(Boolean);
+        const unknown = query.statuses.find(status => !STATUSES.includes(status));
+        if (unknown) {
+            return { error: `Invalid status ${unknown}. Choose one or more of: ${STATUSES.join(', ')}` };
+        }
+    }
+
+    for (const bound of ['from', 'to']) {
+        if (!params[bound]) continue;
+        const value = String(params[bound]);
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `Invalid ${bound}. Must be an ISO date such as 2024-12-20 or 2024-12-20T14:30:00Z.` };
+        }
+        // 2024-12-20 as an upper bound means up to the end of that day
+        const endOfDay = bound === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+        query[bound] = endOfDay ? new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1) : date;
+    }
+
+    const sort = String(params.sort || DEFAULT_SORT);
+    const field = sort.replace(/^-/, '');
+    if (!SORT_FIELDS.includes(field)) {
+        return { error: `Invalid sort. Choose one of: ${SORT_FIELDS.join(', ')} (prefix - for descending)` };
+    }
+    query.sort = { field, descending: sort.startsWith('-') };
+
+    const limit = params.limit === undefined ? DEFAULT_PAGE_SIZE : Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `Invalid limit. Must be a whole number between 1 and ${MAX_PAGE_SIZE}.` };
+    }
+    const offset = params.offset === undefined ? 0 : Number(params.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'Invalid offset. Must be a whole number, 0 or more.' };
+    }
+    query.limit = limit;
+    query.offset = offset;
+
+    return { query };
+};
+
+// Nulls (durations of failed jobs, say) sort last whichever way
+const compareBy = ({ field, descending }) => (a, b) => {
+    const x = a[field];
+    const y = b[field];
+    if (x === y) return 0;
+    if (x === null || x === undefined) return 1;
+    if (y === null || y === undefined) return -1;
+    const order = typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+    return descending ? -order : order;
+};
+
+// Metadata of every recording, kept on local disk as JSON lines so it
+// outlives both the job and the server. Each put appends the record's full
+// current state and the last line for an id wins; a removal appends a
+// tombstone. Superseded lines are dropped when the store is opened.
+const createRecordingStore = ({ file }) => {
+    const records = new Map();
+
+    const append = (entry) => {
+        fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+    };
+
+    // Write to a temp file first so a crash mid-write never loses the store
+    const compact = () => {
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, [...records.values()].map(record => `${JSON.stringify(record)}\n`).join(''));
+        fs.renameSync(tmpFile, file);
+    };
+
+    const open = () => {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        if (!fs.existsSync(file)) return;
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+        lines.forEach((line, index) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                // Most likely the last line, cut short by a crash
+                log('WARN', `Skipping unreadable line ${index + 1} of ${file}`);
+                return;
+            }
+            if (entry.deleted) {
+                records.delete(entry.recordingId);
+            } else {
+                records.set(entry.recordingId, entry);
+            }
+        });
+
+        if (lines.length > records.size) compact();
+        log('INFO', `Loaded ${records.size} recording(s) from ${file}`);
+    };
+
+    const get = (id) => records.get(id) || null;
+
+    const has = (id) => records.has(id);
+
+    const put = (record) => {
+        records.set(record.recordingId, record);
+        append(record);
+        return record;
+    };
+
+    const remove = (id) => {
+        if (!records.delete(id)) return false;
+        append({ recordingId: id, deleted: true });
+        return true;
+    };
+
+    // Matching records, sorted, and the requested page of them
+    const query = ({ sourceUrl = null, statuses = null, from = null, to = null, sort = { field: 'created', descending: true }, offset = 0, limit = DEFAULT_PAGE_SIZE } = {}) => {
+        const matches = [...records.values()].filter(record => {
+            if (statuses && !statuses.includes(record.status)) return false;
+            if (sourceUrl && !String((record.source && (record.source.url || record.source.deck)) || '').toLowerCase().includes(sourceUrl)) return false;
+            const created = new Date(record.created);
+            if (from && created < from) return false;
+            if (to && created > to) return false;
+            return true;
+        });
+        matches.sort(compareBy(sort));
+        return { total: matches.length, matches, page: matches.slice(offset, offset + limit) };
+    };
+
+    return { open, get, has, put, remove, query };
+};
+
+module.exports = { SORT_FIELDS, parseRecordingQuery, createRecordingStore };
@@ -0,0 +1,95 @@
+const { spawn } = require('child_process');
+const { once } = require('events');
+const { CAPTURE_VIDEO_ARGS } = require('./encoder');
+const { log } = require('./log');
+
+const FRAME_QUALITY = 95;
+
+// Capture straight from Chrome's compositor instead of grabbing a screen.
+// Chrome sends a frame, stamped with the time it was drawn, whenever the page
+// changes. Each frame is repeated onto a constant-rate timeline until the next
+// one and piped into ffmpeg, so a loaded machine can make frames arrive late
+// but never moves them: slide holds come out exact to the frame. Works with
+// headless Chrome, without any X display.
+//   resolution  "WxH" of the capture; frames are scaled to it
+//   fps         frames a second on the timeline
+//   onProgress  called with ffmpeg's "time=" as it encodes
+// Resolves with startedAt (ms, where the timeline begins) and stop(), which
+// fills the timeline up to now and waits for ffmpeg to finish the file.
+const startScreencast = async (page, outputPath, { resolution, fps, onProgress = () => {} }) => {
+    const [width, height] = resolution.split('x').map(Number);
+    const ffmpeg = spawn('ffmpeg', [
+        '-hide_banner', '-y',
+        '-f', 'image2pipe',
+        '-c:v', 'mjpeg',
+        '-framerate', String(fps),
+        '-i', '-',
+        '-vf', `scale=${width}:${height}`,
+        ...CAPTURE_VIDEO_ARGS,
+        outputPath
+    ], { stdio: ['pipe', 'ignore', 'pipe'] });
+    const exited = new Promise(resolve => ffmpeg.once('close', resolve));
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+        const output = data.toString();
+        stderr = (stderr + output).slice(-4000);
+        const timeMatch = output.match(/time=\s*(\S+)/);
+        if (timeMatch) onProgress(timeMatch[1]);
+    });
+    // A broken pipe only means ffmpeg died; its exit code says why
+    ffmpeg.stdin.on('error', () => {});
+
+    const startedAt = Date.now();
+    let written = 0;
+    let latest = null;
+    // Writes are chained so frames reach ffmpeg in order and wait out backpressure
+    let writing = Promise.resolve();
+
+    // Repeat the latest frame onto every timeline slot before time (ms)
+    const fillUntil = (time) => {
+        const target = Math.floor((time - startedAt) / 1000 * fps);
+        const count = target - written;
+        const frame = latest;
+        if (!frame || count <= 0) return;
+
+        written = target;
+        writing = writing.then(async () => {
+            for (let i = 0; i < count && ffmpeg.exitCode === null; i++) {
+                if (!ffmpeg.stdin.write(frame)) {
+                    await Promise.race([once(ffmpeg.stdin, 'drain'), exited]);
+                }
+            }
+        });
+    };
+
+    const client = await page.target().createCDPSession();
+    client.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+        client.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+        const drawnAt = metadata.timestamp ? metadata.timestamp * 1000 : Date.now();
+        const frame = Buffer.from(data, 'base64');
+
+        // The first frame also stands in for the moments before it arrived
+        if (!latest) latest = frame;
+        fillUntil(drawnAt);
+        latest = frame;
+    });
+    await client.send('Page.startScreencast', { format: 'jpeg', quality: FRAME_QUALITY, maxWidth: width, maxHeight: height });
+
+    const stop = async () => {
+        await client.send('Page.stopScreencast').catch(() => {});
+        fillUntil(Date.now());
+        await writing;
+        ffmpeg.stdin.end();
+
+        const code = await exited;
+        if (code !== 0) {
+            log('WARN', `Screencast ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`);
+        }
+        log('INFO', `Screencast wrote ${written} frame(s) at ${fps} fps`);
+    };
+
+    return { startedAt, stop };
+};
+
+module.exports = { startScreencast };
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+
+// Session names become directory names, so keep them to a safe alphabet
+const SESSION_NAME_PATTERN = /^[\w-]{1,64}$/;
+
+// Browser extensions export sameSite in Chrome's internal spelling
+const SAME_SITE = { no_restriction: 'None', none: 'None', lax: 'Lax', strict: 'Strict' };
+
+// Turn an uploaded cookie export (Puppeteer's own format, or the one
+// EditThisCookie and similar extensions write) into cookies Puppeteer can set.
+// Returns { cookies } or { error }.
+const normalizeCookies = (body) => {
+    const list = Array.isArray(body) ? body : body && body.cookies;
+    if (!Array.isArray(list) || list.length === 0) {
+        return { error: 'Expected a non-empty JSON array of cookies (or { "cookies": [...] })' };
+    }
+
+    const cookies = [];
+    for (const cookie of list) {
+        if (!cookie || typeof cookie.name !== 'string' || typeof cookie.value !== 'string' || typeof cookie.domain !== 'string') {
+            return { error: 'Every cookie needs a name, value and domain' };
+        }
+
+        const normalized = {
+            name: cookie.name,
+            value: cookie.value,
+            domain: cookie.domain,
+            path: cookie.path || '/',
+            secure: Boolean(cookie.secure),
+            httpOnly: Boolean(cookie.httpOnly)
+        };
+        const expires = cookie.expires !== undefined ? cookie.expires : cookie.expirationDate;
+        if (typeof expires === 'number' && expires > 0) normalized.expires = expires;
+        const sameSite = SAME_SITE[String(cookie.sameSite).toLowerCase()];
+        if (sameSite) normalized.sameSite = sameSite;
+
+        cookies.push(normalized);
+    }
+    return { cookies };
+};
+
+// Named browser sessions for decks that need a signed-in Google account.
+// Each session is a directory holding session.json, plus cookies.json when
+// cookies were uploaded and/or profile/ when someone signed in interactively.
+// The directory must live outside anything served over HTTP.
+const createSessionStore = ({ dir }) => {
+    const sessionDir = (name) => path.join(dir, name);
+    const metaFile = (name) => path.join(sessionDir(name), 'session.json');
+    const cookiesFile = (name) => path.join(sessionDir(name), 'cookies.json');
+    const profileDir = (name) => path.join(sessionDir(name), 'profile');
+
+    const now = () => new Date().toISOString();
+
+    const get = (name) => {
+        if (!SESSION_NAME_PATTERN.test(name) || !fs.existsSync(metaFile(name))) return null;
+        return JSON.parse(fs.readFileSync(metaFile(name), 'utf8'));
+    };
+
+    const update = (name, changes) => {
+        const meta = { ...(get(name) || { name, createdAt: now() }), ...changes, updatedAt: now() };
+        // Cookies are credentials: readable by the server's user only
+        fs.mkdirSync(sessionDir(name), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(metaFile(name), JSON.stringify(meta, null, 2), { mode: 0o600 });
+        return meta;
+    };
+
+    const list = () => {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir).map(get).filter(Boolean);
+    };
+
+    const saveCookies = (name, cookies) => {
+        const meta = update(name, { cookieCount: cookies.length });
+        fs.writeFileSync(cookiesFile(name), JSON.stringify(cookies, null, 2), { mode: 0o600 });
+        log('INFO', `Saved ${cookies.length} cookie(s) to session ${name}`);
+        return meta;
+    };
+
+    // The profile Chrome signs in with during an interactive capture. The
+    // session only shows up (or changes) once finishCapture records it.
+    const startCapture = (name) => {
+        fs.mkdirSync(profileDir(name), { recursive: true, mode: 0o700 });
+        fs.chmodSync(sessionDir(name), 0o700);
+        return profileDir(name);
+    };
+
+    const finishCapture = (name) => {
+        log('INFO', `Session ${name} captured`);
+        return update(name, { hasProfile: true });
+    };
+
+    const remove = (name) => {
+        if (!get(name)) return false;
+        fs.rmSync(sessionDir(name), { recursive: true, force: true });
+        log('INFO', `Deleted session ${name}`);
+        return true;
+    };
+
+    // A private copy of the session for one job, so concurrent recordings never
+    // share (or lock) a Chrome profile and a job cannot change the stored one.
+    // Returns the user-data dir to launch Chrome with and the cookies to set.
+    const checkout = (name, targetDir) => {
+        if (fs.existsSync(profileDir(name))) {
+            fs.cpSync(profileDir(name), targetDir, { recursive: true });
+            // Left behind by the Chrome that captured the session; a copy must not inherit its lock
+            ['SingletonLock', 'SingletonSocket', 'SingletonCookie'].forEach(file => {
+                fs.rmSync(path.join(targetDir, file), { force: true });
+            });
+        } else {
+            fs.mkdirSync(targetDir, { recursive: true, mode: 0o700 });
+        }
+
+        const cookies = fs.existsSync(cookiesFile(name))
+            ? JSON.parse(fs.readFileSync(cookiesFile(name), 'utf8'))
+            : [];
+        return { userDataDir: targetDir, cookies };
+    };
+
+    return { get, list, saveCookies, startCapture, finishCapture, remove, checkout };
+};
+
+module.exports = { SESSION_NAME_PATTERN, normalizeCookies, createSessionStore };
@@ -0,0 +1,87 @@
+const { sleep } = require('./sleep');
+const { log } = require('./log');
+
+// How long a keypress gets to show its effect before it is judged
+const SETTLE_TIMEOUT = 1500;
+const POLL_INTERVAL = 100;
+// Presses allowed on one slide's animation steps before giving up on reaching the next
+const MAX_BUILD_STEPS = 20;
+
+// A small screenshot of the viewport. The page is on screen and being filmed,
+// so nothing outside the viewport may be rendered for it.
+const grabFrame = (page) => {
+    const { width, height } = page.viewport();
+    return page.screenshot({ type: 'jpeg', quality: 50, captureBeyondViewport: false, clip: { x: 0, y: 0, width, height, scale: 0.25 } });
+};
+
+// What the deck is showing right now: the slide id and end screen as the
+// source adapter reads them, plus a small screenshot. Decks without slide ids
+// are told apart by the screenshot alone.
+const readSlideState = async (page, source) => {
+    const { slideId, ended } = await source.readState(page);
+    return { slideId, ended, frame: await grabFrame(page) };
+};
+
+// Compare what is on screen after a press with before it:
+//   slide  a new slide is showing
+//   build  same slide, but the picture changed (an animation step)
+//   end    the presenter's end screen is showing
+//   none   nothing happened, usually because the deck is already finished
+// Only the adapter's cheap state is polled while the press settles; the one
+// screenshot is taken at the deadline, when the frames are all that is left
+// to compare.
+const waitForChange = async (page, source, before, signal) => {
+    const deadline = Date.now() + SETTLE_TIMEOUT;
+
+    while (Date.now() < deadline) {
+        await sleep(POLL_INTERVAL, signal);
+        const { slideId, ended } = await source.readState(page);
+        if (ended && !before.ended) return { outcome: 'end', state: { slideId, ended, frame: null } };
+        if (slideId && slideId !== before.slideId) return { outcome: 'slide', state: { slideId, ended, frame: null } };
+    }
+
+    const state = await readSlideState(page, source);
+    if (state.frame.equals(before.frame)) return { outcome: 'none', state };
+    // Without a slide id any visible change has to count as a new slide
+    return { outcome: state.slideId ? 'build' : 'slide', state };
+};
+
+// One step forward and what it did
+const pressNext = async (page, source, signal, before = null) => {
+    const state = before || await readSlideState(page, source);
+    const pressedAt = Date.now();
+    await source.next(page);
+    const change = await waitForChange(page, source, state, signal);
+    return { ...change, pressedAt };
+};
+
+// Step forward until the next slide shows, going through any click-through
+// animations on the way. Resolves with the outcome, the time of the press
+// that produced it and how many presses it took.
+const advanceSlide = async (page, source, signal) => {
+    let before = await readSlideState(page, source);
+
+    for (let presses = 1; presses <= MAX_BUILD_STEPS; presses++) {
+        const { outcome, state, pressedAt } = await pressNext(page, source, signal, before);
+
+        if (outcome !== 'build') {
+            return { outcome, pressedAt, presses, slideId: state.slideId };
+        }
+        log('WARN', `Press ${presses} played an animation step on slide ${state.slideId}, pressing again`);
+        before = state;
+    }
+
+    log('WARN', `Still on the same slide after ${MAX_BUILD_STEPS} presses`);
+    return { outcome: 'build', pressedAt: Date.now(), presses: MAX_BUILD_STEPS, slideId: before.slideId };
+};
+
+// Step forward once for a click animation. Resolves with the outcome,
+// which is 'build' when the deck did what the schedule expected.
+const playBuild = async (page, source, signal) => {
+    const { outcome, state, pressedAt } = await pressNext(page, source, signal);
+    // Without a slide id a change cannot be told apart from an animation step
+    const played = outcome === 'slide' && !state.slideId ? 'build' : outcome;
+    return { outcome: played, pressedAt, presses: 1, slideId: state.slideId };
+};
+
+module.exports = { readSlideState, advanceSlide, playBuild };
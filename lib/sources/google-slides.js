@@ -0,0 +1,49 @@
+const { sleep } = require('../sleep');
+const { presentationId, fetchDeckText } = require('../deck-text');
+
+module.exports = {
+    name: 'google-slides',
+    label: 'Google Slides',
+    dependencies: [],
+    input: 'url',
+
+    matches: ({ url }) => Boolean(url && presentationId(url)),
+
+    prepare: async ({ url }) => {
+        if (url.includes('/present')) return url;
+        return url.replace('/edit', '/present').replace('#', '/present#');
+    },
+
+    // Let the editor finish loading, then dismiss popups and start the slideshow
+    enter: async (page, { signal }) => {
+        await sleep(8000, signal);
+
+        const currentUrl = page.url();
+        if (currentUrl.includes('accounts.google.com') || currentUrl.includes('signin')) {
+            throw new Error('Authentication required. Make the presentation publicly accessible or record it with a signed-in session.');
+        }
+
+        try {
+            await page.keyboard.press('Escape');
+            await sleep(1000, signal);
+            await page.keyboard.press('F5');
+            await sleep(2000, signal);
+        } catch (error) {
+            if (signal.aborted) throw error;
+        }
+    },
+
+    // The presenter keeps the current slide's id in the URL hash (#slide=id.p3)
+    readState: (page) => page.evaluate(() => {
+        const match = window.location.hash.match(/slide=([^&]+)/);
+        const text = document.body ? document.body.innerText : '';
+        return {
+            slideId: match ? decodeURIComponent(match[1]) : null,
+            ended: /end of (the )?(slide ?show|presentation)/i.test(text)
+        };
+    }),
+
+    next: (page) => page.keyboard.press('ArrowRight'),
+
+    readText: ({ url, cookies, signal }) => fetchDeckText(url, { cookies, signal })
+};
@@ -0,0 +1,39 @@
+const { sleep } = require('../sleep');
+
+// reveal.js decks are driven through their API so vertical slides and
+// fragments are visited in order; any other HTML deck gets ArrowRight and is
+// judged by its URL hash (#/3, #slide-3, ...) and by screenshot.
+module.exports = {
+    name: 'html',
+    label: 'reveal.js or other HTML deck',
+    dependencies: [],
+    input: 'url',
+
+    // Anything else with a web address is assumed to be an HTML deck
+    matches: ({ url }) => Boolean(url && /^https?:\/\//i.test(url)),
+
+    prepare: async ({ url }) => url,
+
+    enter: async (page, { signal }) => {
+        await page.waitForFunction(() => !window.Reveal || !window.Reveal.isReady || window.Reveal.isReady(), { timeout: 30000 })
+            .catch(() => {});
+        await sleep(2000, signal);
+    },
+
+    readState: (page) => page.evaluate(() => {
+        if (window.Reveal && window.Reveal.getIndices) {
+            const { h, v } = window.Reveal.getIndices();
+            return { slideId: `${h}.${v || 0}`, ended: false };
+        }
+        return { slideId: window.location.hash || null, ended: false };
+    }),
+
+    next: async (page) => {
+        const usedReveal = await page.evaluate(() => {
+            if (!window.Reveal || !window.Reveal.next) return false;
+            window.Reveal.next();
+            return true;
+        });
+        if (!usedReveal) await page.keyboard.press('ArrowRight');
+    }
+};
@@ -0,0 +1,54 @@
+// Presentation sources. Each adapter knows how to turn a request into
+// something Chrome can open and how to drive it once open:
+//   name, label      identifier used in requests, and a readable name
+//   dependencies     commands it needs on the PATH
+//   input            'url', 'file' (an uploaded deck) or 'either'
+//   matches({ url, upload })  true when it should handle this URL or upload
+//   prepare({ url, file, workPrefix, signal })  resolves to the URL to open;
+//                    files it makes must start with workPrefix
+//   enter(page, { signal })   get from a loaded page to the first slide, fullscreen
+//   readState(page)  { slideId, ended }: the current slide's id when the deck
+//                    exposes one (null otherwise) and whether its end screen shows
+//   next(page)       go one step forward
+//   readText({ url, file, cookies, signal })  optional: resolves to the title
+//                    and speaker notes of every slide, or null
+const SOURCES = {
+    'google-slides': require('./google-slides'),
+    html: require('./html'),
+    pdf: require('./pdf'),
+    pptx: require('./pptx')
+};
+
+const SOURCE_NAMES = Object.keys(SOURCES);
+const DEFAULT_SOURCE = 'google-slides';
+
+// Most specific first: html takes any web address
+const DETECTION_ORDER = ['pptx', 'pdf', 'google-slides', 'html'];
+
+const getSource = (name = DEFAULT_SOURCE) => SOURCES[name] || null;
+
+// The adapter for a slideUrl or an uploaded deck file, or null
+const detectSource = ({ url = null, upload = null }) => {
+    const name = DETECTION_ORDER.find(candidate => SOURCES[candidate].matches({ url, upload }));
+    return name || null;
+};
+
+// Decks given by address must be on the web. Chrome would open file:// (or
+// chrome://, data:, ...) just as happily and film whatever it finds, so local
+// files only ever reach it through prepare() from a deck the server itself
+// was handed as a file. Returns an error message, or null when url is fine.
+const checkDeckUrl = (url) => {
+    if (!url) return null;
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'Invalid slideUrl. Must be an http(s) URL.';
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return 'Invalid slideUrl. Must be an http(s) URL.';
+    }
+    return null;
+};
+
+module.exports = { SOURCE_NAMES, DEFAULT_SOURCE, getSource, detectSource, checkDeckUrl };
@@ -0,0 +1,41 @@
+const { pathToFileURL } = require('url');
+const { sleep } = require('../sleep');
+
+// Chrome's built-in viewer, with the toolbar hidden and one page fitted to the
+// window so each ArrowRight turns a whole page
+const VIEWER_PARAMS = 'toolbar=0&navpanes=0&view=Fit';
+
+const pdfViewerUrl = (target) => `${target.split('#')[0]}#${VIEWER_PARAMS}`;
+
+// Focus the viewer so it receives key presses, then park the pointer in the
+// corner where it does not cover the page
+const focusViewer = async (page) => {
+    const { width, height } = page.viewport();
+    await page.mouse.click(width / 2, height / 2);
+    await page.mouse.move(width - 1, height - 1);
+};
+
+module.exports = {
+    name: 'pdf',
+    label: 'PDF',
+    dependencies: [],
+    input: 'either',
+
+    matches: ({ url, upload }) => upload
+        ? upload.mimetype === 'application/pdf' || /\.pdf$/i.test(upload.originalname)
+        : Boolean(url && /^https?:\/\/[^?#]+\.pdf([?#]|$)/i.test(url)),
+
+    prepare: async ({ url, file }) => pdfViewerUrl(file ? pathToFileURL(file).href : url),
+
+    enter: async (page, { signal }) => {
+        await sleep(2000, signal);
+        await focusViewer(page);
+        await sleep(500, signal);
+    },
+
+    // The viewer shows nothing of its state to the page, so pages are told
+    // apart by screenshot and the last one is found when a press changes nothing
+    readState: async () => ({ slideId: null, ended: false }),
+
+    next: (page) => page.keyboard.press('ArrowRight')
+};
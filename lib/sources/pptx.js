@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { pathToFileURL } = require('url');
+const { log } = require('../log');
+const { readDeckTextFile } = require('../deck-text');
+const pdf = require('./pdf');
+
+// LibreOffice gives up on a conversion after this long
+const CONVERT_TIMEOUT = 5 * 60 * 1000;
+
+// Convert with LibreOffice in headless mode. Each conversion gets its own
+// LibreOffice profile because two instances sharing one block each other.
+const convertToPdf = (file, outputDir, { signal }) => {
+    return new Promise((resolve, reject) => {
+        fs.mkdirSync(outputDir, { recursive: true });
+        // LibreOffice picks the import filter by extension, and uploads have none
+        const input = path.join(outputDir, 'deck.pptx');
+        fs.copyFileSync(file, input);
+
+        log('INFO', 'Converting PPTX to PDF with LibreOffice...');
+        const soffice = spawn('soffice', [
+            `-env:UserInstallation=${pathToFileURL(path.join(outputDir, 'profile')).href}`,
+            '--headless',
+            '--convert-to', 'pdf',
+            '--outdir', outputDir,
+            input
+        ], { stdio: 'ignore', signal, timeout: CONVERT_TIMEOUT });
+
+        soffice.on('error', (error) => reject(signal && signal.aborted ? signal.reason : error));
+        soffice.on('close', (code) => {
+            const output = path.join(outputDir, 'deck.pdf');
+            if (code !== 0 || !fs.existsSync(output)) {
+                return reject(new Error(`LibreOffice could not convert the PPTX (exit code ${code})`));
+            }
+            resolve(output);
+        });
+    });
+};
+
+// Uploaded PowerPoint decks are played back as the PDF LibreOffice makes of
+// them, so they present exactly like a PDF (without animations)
+module.exports = {
+    ...pdf,
+    name: 'pptx',
+    label: 'PowerPoint (via LibreOffice)',
+    dependencies: ['soffice'],
+    input: 'file',
+
+    matches: ({ upload }) => Boolean(upload && (
+        upload.mimetype === 'application/vnd.openxmlformats-officedocument.presentationml.presentation' ||
+        /\.pptx$/i.test(upload.originalname)
+    )),
+
+    prepare: async ({ file, workPrefix, signal }) => {
+        if (!file) throw new Error('The pptx source needs an uploaded deck file');
+        const output = await convertToPdf(file, `${workPrefix}.soffice`, { signal });
+        return pdf.prepare({ file: output });
+    },
+
+    readText: ({ file }) => readDeckTextFile(file)
+};
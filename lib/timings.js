@@ -0,0 +1,114 @@
+// Two shapes of timings are accepted:
+//   [5, 8, 12]                       seconds after slide 1 at which to move to
+//                                    the next slide, one keypress each; these
+//                                    are timestamps, so they must increase
+//   [{ hold: 8, builds: [2, 4.5] }]  one object per slide: how long it stays up
+//                                    and when, counted from its own start, each
+//                                    click animation plays. hold may be left
+//                                    out on the last slide only.
+// Both are expanded into the same keypress schedule.
+
+const isSlideEntry = (entry) => entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+const isStructured = (timings) => timings.length > 0 && timings.every(isSlideEntry);
+
+// Multipart forms send timings as a string: either a JSON array or "5,8,12"
+const parseTimings = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string') return null;
+
+    if (value.trim().startsWith('[')) {
+        try {
+            const parsed = JSON.parse(value);
+            return Array.isArray(parsed) ? parsed : null;
+        } catch {
+            return null;
+        }
+    }
+    return value.split(',').map(t => parseFloat(t.trim()));
+};
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Returns an error message, or null when the timings can be scheduled
+const validateTimings = (timings) => {
+    if (!isStructured(timings)) {
+        if (timings.some(t => !isPositive(t))) {
+            return 'Invalid timings. All values must be positive numbers.';
+        }
+        // A smaller value after a larger one is almost always a duration
+        // typed where a timestamp belongs
+        const backwards = timings.findIndex((t, i) => i > 0 && t <= timings[i - 1]);
+        if (backwards !== -1) {
+            return `Invalid timings. Each value is the time after slide 1 at which to advance, so they must increase: ${timings[backwards]}s comes after ${timings[backwards - 1]}s.`;
+        }
+        return null;
+    }
+
+    for (let i = 0; i < timings.length; i++) {
+        const { hold, builds = [] } = timings[i];
+        const isLast = i === timings.length - 1;
+        if (!(isLast && hold === undefined) && !isPositive(hold)) {
+            return `Invalid timings. Slide ${i + 1} needs a positive hold in seconds.`;
+        }
+        if (!Array.isArray(builds)) {
+            return `Invalid timings. builds on slide ${i + 1} must be an array of seconds.`;
+        }
+        for (let j = 0; j < builds.length; j++) {
+            const offset = builds[j];
+            if (!isPositive(offset) || (j > 0 && offset <= builds[j - 1])) {
+                return `Invalid timings. builds on slide ${i + 1} must be positive and increasing.`;
+            }
+            if (hold !== undefined && offset >= hold) {
+                return `Invalid timings. Build at ${offset}s on slide ${i + 1} comes after its ${hold}s hold.`;
+            }
+        }
+    }
+    return null;
+};
+
+// Expand validated timings into the keypresses to make, each with its time
+// after slide 1, whether it should bring up a new slide or play an animation
+// step, and the slide it belongs to (the one it lands on, for slide changes).
+// lastHold is the last slide's hold when the timings give one; lastBuild is
+// when that slide's final animation plays, counted from its start.
+const buildSchedule = (timings) => {
+    if (!isStructured(timings)) {
+        return {
+            steps: timings.map((at, i) => ({ at, type: 'slide', slide: i + 2 })),
+            lastHold: null,
+            lastBuild: 0
+        };
+    }
+
+    const steps = [];
+    let slideStart = 0;
+    timings.forEach(({ hold, builds = [] }, i) => {
+        builds.forEach(offset => steps.push({ at: slideStart + offset, type: 'build', slide: i + 1 }));
+        if (i < timings.length - 1) {
+            slideStart += hold;
+            steps.push({ at: slideStart, type: 'slide', slide: i + 2 });
+        }
+    });
+
+    const { hold, builds = [] } = timings[timings.length - 1];
+    return {
+        steps,
+        lastHold: hold === undefined ? null : hold,
+        lastBuild: builds.length > 0 ? builds[builds.length - 1] : 0
+    };
+};
+
+// How long the last slide stays up, from a request field that may be a
+// string (multipart forms) or left out. Returns { tailHold } or { error }.
+const parseTailHold = (value) => {
+    if (value === undefined || value === null || value === '') return { tailHold: null };
+    const tailHold = Number(value);
+    if (!isPositive(tailHold)) {
+        return { error: 'Invalid tailHold. Must be a positive number of seconds.' };
+    }
+    return { tailHold };
+};
+
+const slideCount = (steps) => steps.filter(step => step.type === 'slide').length + 1;
+
+module.exports = { parseTimings, validateTimings, parseTailHold, buildSchedule, slideCount };
@@ -0,0 +1,13 @@
+const { runEngine } = require('./run-engine');
+
+// espeak-ng: small, robotic, and in nearly every distribution's packages.
+// voice is an espeak voice name such as "en-us" or "de".
+module.exports = {
+    name: 'espeak-ng',
+    command: 'espeak-ng',
+    synthesize: (text, outputPath, { voice, signal } = {}) => {
+        const args = ['-w', outputPath, '--stdin'];
+        if (voice) args.push('-v', voice);
+        return runEngine('espeak-ng', args, text, { signal });
+    }
+};
@@ -0,0 +1,45 @@
+const { log } = require('../log');
+const { writeSilentWav } = require('./silence');
+
+// Text-to-speech providers. Each one has a name, the command it needs on the
+// PATH (null for none) and synthesize(text, outputPath, { voice, signal }),
+// which resolves once a WAV of the spoken text has been written.
+const PROVIDERS = {
+    'espeak-ng': require('./espeak'),
+    piper: require('./piper'),
+    stub: require('./stub')
+};
+
+const TTS_PROVIDER_NAMES = Object.keys(PROVIDERS);
+const DEFAULT_TTS_PROVIDER = process.env.TTS_PROVIDER || 'espeak-ng';
+
+// Slides with nothing in their notes still stay up this long
+const SILENT_SLIDE_SECONDS = 3;
+
+const getTtsProvider = (name = DEFAULT_TTS_PROVIDER) => PROVIDERS[name] || null;
+
+// One clip per slide, spoken from its text. clipPathFor(index) says where
+// slide index's clip goes. Resolves with the clip paths in slide order.
+const synthesizeSlides = async (texts, clipPathFor, { provider = DEFAULT_TTS_PROVIDER, voice = null, signal } = {}) => {
+    const engine = getTtsProvider(provider);
+    const clipPaths = [];
+
+    for (let i = 0; i < texts.length; i++) {
+        signal.throwIfAborted();
+        const clipPath = clipPathFor(i);
+        const text = (texts[i] || '').trim();
+
+        if (text) {
+            await engine.synthesize(text, clipPath, { voice, signal });
+        } else {
+            log('WARN', `Slide ${i + 1} has no notes, holding it for ${SILENT_SLIDE_SECONDS}s`);
+            writeSilentWav(clipPath, SILENT_SLIDE_SECONDS);
+        }
+        clipPaths.push(clipPath);
+    }
+
+    log('INFO', `Spoke notes for ${texts.length} slide(s) with ${engine.name}`);
+    return clipPaths;
+};
+
+module.exports = { TTS_PROVIDER_NAMES, DEFAULT_TTS_PROVIDER, getTtsProvider, synthesizeSlides };
@@ -0,0 +1,15 @@
+const { runEngine } = require('./run-engine');
+
+// Piper: neural voices that run locally. voice is the path to an .onnx
+// model; without one the PIPER_MODEL environment variable is used.
+module.exports = {
+    name: 'piper',
+    command: 'piper',
+    synthesize: (text, outputPath, { voice, signal } = {}) => {
+        const model = voice || process.env.PIPER_MODEL;
+        if (!model) {
+            return Promise.reject(new Error('piper needs a voice model: pass ttsVoice or set PIPER_MODEL'));
+        }
+        return runEngine('piper', ['--model', model, '--output_file', outputPath], text, { signal });
+    }
+};
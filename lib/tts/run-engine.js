@@ -0,0 +1,26 @@
+const { spawn } = require('child_process');
+
+// Run a speech engine that reads its text on stdin and writes a WAV itself
+const runEngine = (command, args, text, { signal } = {}) => {
+    return new Promise((resolve, reject) => {
+        const engine = spawn(command, args, { stdio: ['pipe', 'ignore', 'pipe'], signal });
+        let stderr = '';
+
+        engine.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        engine.on('error', (error) => reject(signal && signal.aborted ? signal.reason : error));
+        engine.on('close', (code) => {
+            if (code !== 0) {
+                return reject(new Error(`${command} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+            }
+            resolve();
+        });
+
+        // The engine may exit early on bad options; that is reported by close
+        engine.stdin.on('error', () => {});
+        engine.stdin.end(text);
+    });
+};
+
+module.exports = { runEngine };
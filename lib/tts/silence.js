@@ -0,0 +1,27 @@
+const fs = require('fs');
+
+const SAMPLE_RATE = 22050;
+
+// A mono 16-bit PCM WAV of silence, written without any external tool
+const writeSilentWav = (outputPath, seconds) => {
+    const dataSize = Math.round(seconds * SAMPLE_RATE) * 2;
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataSize, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataSize, 40);
+
+    fs.writeFileSync(outputPath, Buffer.concat([header, Buffer.alloc(dataSize)]));
+};
+
+module.exports = { writeSilentWav };
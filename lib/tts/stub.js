@@ -0,0 +1,15 @@
+const { writeSilentWav } = require('./silence');
+
+// Speaking rate the stub pretends to have
+const WORDS_PER_SECOND = 2.5;
+
+// Silent audio as long as the text would take to read aloud, so timing and
+// muxing can be exercised without a speech engine installed
+module.exports = {
+    name: 'stub',
+    command: null,
+    synthesize: async (text, outputPath) => {
+        const words = text.split(/\s+/).filter(Boolean).length;
+        writeSilentWav(outputPath, Math.max(1, words / WORDS_PER_SECOND));
+    }
+};
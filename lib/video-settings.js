@@ -0,0 +1,64 @@
+// Output geometry for one recording. width and height are the recorded pixel
+// size; Chrome lays the page out at width/deviceScaleFactor CSS pixels so a
+// scale factor of 2 renders a 1080p-sized layout crisply at 4K.
+const DEFAULT_VIDEO = { width: 1920, height: 1080, fps: null, deviceScaleFactor: 1 };
+
+// Capture framerate when the request leaves fps to the output profile
+const DEFAULT_CAPTURE_FPS = 30;
+
+// Up to 4K in either orientation (3840x2160 or 2160x3840)
+const LIMITS = {
+    width: { min: 320, max: 3840 },
+    height: { min: 320, max: 3840 },
+    fps: { min: 1, max: 60 },
+    deviceScaleFactor: { min: 1, max: 4 }
+};
+const MAX_PIXELS = 3840 * 2160;
+
+// Validate the width/height/fps/deviceScaleFactor fields of a /record body.
+// Multipart forms send them as strings, so numbers are parsed first.
+// Returns { video } or { error }.
+const parseVideoSettings = (body) => {
+    const video = { ...DEFAULT_VIDEO };
+
+    for (const field of Object.keys(LIMITS)) {
+        if (body[field] === undefined || body[field] === '') continue;
+
+        const value = Number(body[field]);
+        const { min, max } = LIMITS[field];
+        if (!Number.isFinite(value) || value < min || value > max) {
+            return { error: `Invalid ${field}. Must be a number between ${min} and ${max}.` };
+        }
+        if (field !== 'deviceScaleFactor' && !Number.isInteger(value)) {
+            return { error: `Invalid ${field}. Must be a whole number.` };
+        }
+        video[field] = value;
+    }
+
+    // H.264/VP9 in yuv420p need even dimensions
+    if (video.width % 2 !== 0 || video.height % 2 !== 0) {
+        return { error: 'Invalid size. width and height must be even numbers.' };
+    }
+
+    if (video.width * video.height > MAX_PIXELS) {
+        return { error: `Invalid size. ${video.width}x${video.height} is larger than 4K (${MAX_PIXELS} pixels).` };
+    }
+
+    return { video };
+};
+
+// The single source for every place that repeats the size: Xvfb's screen,
+// Chrome's window and viewport, and ffmpeg's grab
+const displayGeometry = (video = DEFAULT_VIDEO) => {
+    const cssWidth = Math.round(video.width / video.deviceScaleFactor);
+    const cssHeight = Math.round(video.height / video.deviceScaleFactor);
+
+    return {
+        resolution: `${video.width}x${video.height}`,
+        captureFps: video.fps || DEFAULT_CAPTURE_FPS,
+        windowSize: `${cssWidth},${cssHeight}`,
+        viewport: { width: cssWidth, height: cssHeight, deviceScaleFactor: video.deviceScaleFactor }
+    };
+};
+
+module.exports = { DEFAULT_VIDEO, LIMITS, parseVideoSettings, displayGeometry };
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { sleep } = require('./sleep');
+const { log } = require('./log');
+
+// Wait before each retry; a delivery gets one attempt plus one per delay
+const RETRY_DELAYS = [10, 60, 300, 1800].map(seconds => seconds * 1000);
+const ATTEMPT_TIMEOUT = 10000;
+
+// GitHub-style signature over the exact bytes sent, so receivers can check
+// the body with their copy of the shared secret before parsing it
+const signBody = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const postOnce = async (url, body, secret, event) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'slide-recorder-webhook',
+            'X-Webhook-Event': event,
+            'X-Webhook-Signature': signBody(body, secret)
+        },
+        body,
+        signal: AbortSignal.timeout(ATTEMPT_TIMEOUT)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.status;
+};
+
+// POST payload to url until a 2xx answer or the retries run out. Every
+// attempt is reported to onAttempt(attempt, nextAttemptAt) so it can be kept
+// with the job; attemptsSoFar resumes a delivery a restart interrupted.
+// Resolves true once delivered.
+const deliverWebhook = async ({ url, payload, secret, attemptsSoFar = 0, onAttempt = () => {} }) => {
+    const body = JSON.stringify(payload);
+
+    for (let number = attemptsSoFar + 1; number <= RETRY_DELAYS.length + 1; number++) {
+        const startedAt = Date.now();
+        const attempt = { number, at: new Date(startedAt).toISOString() };
+
+        try {
+            attempt.status = await postOnce(url, body, secret, payload.event);
+            attempt.durationMs = Date.now() - startedAt;
+            onAttempt(attempt, null);
+            log('INFO', `Webhook ${payload.event} for ${payload.recordingId} delivered to ${url}`);
+            return true;
+        } catch (error) {
+            // fetch() only says "fetch failed"; the cause names the network error
+            attempt.error = error.name === 'TimeoutError' ? `No answer within ${ATTEMPT_TIMEOUT / 1000}s`
+                : error.cause ? error.cause.code || error.cause.message : error.message;
+            attempt.durationMs = Date.now() - startedAt;
+        }
+
+        const delay = RETRY_DELAYS[number - 1];
+        onAttempt(attempt, delay === undefined ? null : new Date(Date.now() + delay).toISOString());
+        if (delay === undefined) break;
+
+        log('WARN', `Webhook attempt ${number} to ${url} failed (${attempt.error}), retrying in ${delay / 1000}s`);
+        await sleep(delay);
+    }
+
+    log('ERROR', `Giving up on webhook ${payload.event} for ${payload.recordingId} to ${url}`);
+    return false;
+};
+
+module.exports = { deliverWebhook, signBody };
@@ -1,25 +1,28 @@
-document.getElementById('recordForm').addEventListener('submit', async (e) => {
+const recordForm = document.getElementById('recordForm');
+
+recordForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     
     const slideUrl = document.getElementById('slideUrl').value;
-    const timingsInput = document.getElementById('timings').value;
     const startBtn = document.getElementById('startBtn');
     const status = document.getElementById('status');
     const result = document.getElementById('result');
+    const idleLabel = startBtn.textContent;
     
-    // Parse timings
-    const timings = timingsInput.split(',').map(t => parseFloat(t.trim())).filter(t => !isNaN(t));
+    // The timing table, as the plain list of advances plus the last slide's hold
+    const { timings, tailHold, error } = readTimingEditor();
     
-    if (timings.length === 0) {
-        showError('Please enter valid timing values');
+    if (error) {
+        showError(error);
         return;
     }
     
     // Show loading state
     startBtn.disabled = true;
-    startBtn.textContent = 'Recording...';
-    showStatus('Starting recording process...', 'loading');
+    startBtn.textContent = recordForm.dataset.busyLabel || 'Recording...';
+    showStatus(recordForm.dataset.startMessage || 'Starting recording process...', 'loading');
     result.classList.add('hidden');
+    hideProgress();
     
     try {
         const response = await fetch('/record', {
@@ -29,26 +32,127 @@ document.getElementById('recordForm').addEventListener('submit', async (e) => {
             },
             body: JSON.stringify({
                 slideUrl,
-                timings
+                timings,
+                ...(tailHold ? { tailHold } : {})
             })
         });
         
         const data = await response.json();
         
-        if (data.success) {
+        if (!data.success) {
+            showError(data.error || 'Recording failed');
+        } else if (data.downloadUrl) {
+            // The simple servers answer once the video is ready
             showResult(data.downloadUrl);
             status.classList.add('hidden');
         } else {
-            showError(data.error || 'Recording failed');
+            // The API server queues the job and streams its progress
+            const job = await followRecording(data.recordingId);
+            if (job.status === 'done') {
+                showResult(job.downloadUrl);
+                status.classList.add('hidden');
+            } else {
+                showError(job.error || `Recording ${job.status}`);
+            }
         }
     } catch (error) {
         showError('Network error: ' + error.message);
     } finally {
+        hideProgress();
         startBtn.disabled = false;
-        startBtn.textContent = 'Start Recording';
+        startBtn.textContent = idleLabel;
     }
 });
 
+// Follow a queued recording's event stream until it finishes; resolves with
+// the final job as GET /recording/:id describes it
+function followRecording(recordingId) {
+    return new Promise((resolve, reject) => {
+        const events = new EventSource(`/recording/${recordingId}/events`);
+        
+        events.addEventListener('status', (e) => {
+            const job = JSON.parse(e.data);
+            if (['done', 'failed', 'cancelled'].includes(job.status)) {
+                events.close();
+                hidePreview();
+                resolve(job);
+                return;
+            }
+            // Chrome is only on screen while recording
+            if (job.status === 'recording') {
+                showPreview(recordingId);
+            } else {
+                hidePreview();
+            }
+            showJobProgress(job.status, job.progress);
+        });
+        
+        events.addEventListener('progress', (e) => {
+            const { status, ...progress } = JSON.parse(e.data);
+            showJobProgress(status, progress);
+        });
+        
+        events.addEventListener('log', (e) => {
+            const { level, message } = JSON.parse(e.data);
+            if (level !== 'INFO') showStatus(message, 'loading');
+        });
+        
+        // EventSource reconnects by itself; give up only once it stops trying
+        events.onerror = () => {
+            if (events.readyState === EventSource.CLOSED) {
+                hidePreview();
+                reject(new Error('lost the recording\'s progress stream'));
+            }
+        };
+    });
+}
+
+function showJobProgress(status, progress) {
+    if (status === 'queued') {
+        showStatus('Waiting for a free recorder...', 'loading');
+        return;
+    }
+    if (status === 'launching') {
+        showStatus('Opening the presentation...', 'loading');
+        return;
+    }
+    
+    const { slide, totalSlides, phases } = progress;
+    if (status === 'encoding') {
+        showStatus('Encoding video...', 'loading');
+        showProgress(phases.encode.percent, `Encoding ${Math.round(phases.encode.percent)}%`);
+    } else if (slide && totalSlides) {
+        showStatus('Recording...', 'loading');
+        showProgress(slide / totalSlides * 100, `Slide ${slide} of ${totalSlides}`);
+    }
+}
+
+function showProgress(percent, label) {
+    document.getElementById('progressFill').style.width = `${Math.min(100, percent)}%`;
+    document.getElementById('progressLabel').textContent = label;
+    document.getElementById('progress').classList.remove('hidden');
+}
+
+function hideProgress() {
+    document.getElementById('progress').classList.add('hidden');
+}
+
+// A low-fps live view of the recording's display, so a cookie banner or
+// sign-in page over the deck is spotted straight away
+function showPreview(recordingId) {
+    const preview = document.getElementById('preview');
+    if (!preview.classList.contains('hidden')) return;
+    preview.src = `/recording/${recordingId}/preview.mjpeg`;
+    preview.classList.remove('hidden');
+}
+
+function hidePreview() {
+    const preview = document.getElementById('preview');
+    // Dropping the source is what closes the stream
+    preview.removeAttribute('src');
+    preview.classList.add('hidden');
+}
+
 function showStatus(message, type) {
     const status = document.getElementById('status');
     status.textContent = message;
@@ -65,6 +169,6 @@ function showResult(downloadUrl) {
     const downloadLink = document.getElementById('downloadLink');
     
     downloadLink.href = downloadUrl;
-    downloadLink.download = 'slideshow-recording.mp4';
+    downloadLink.download = downloadUrl.split('/').pop();
     result.classList.remove('hidden');
-}
\ No newline at end of file
+}
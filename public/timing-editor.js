@@ -0,0 +1,247 @@
+// Per-slide timing table for the record form. Slides are kept as the time
+// each one comes up (slide 1 at 0) plus how long the last one stays up;
+// the durations/timestamps toggle only changes which column is typed into.
+// What is sent is the same either way: the plain timings list of when to
+// advance, and the last slide's time as tailHold.
+const timingState = {
+    starts: [0, 5],
+    lastDuration: null,
+    mode: 'durations'
+};
+
+// "75", "75.5", "1:15" or "0:01:15.5" into seconds; NaN when unreadable
+function parseClock(text) {
+    const value = String(text).trim().replace(',', '.');
+    if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value)) return NaN;
+    return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+function formatClock(seconds) {
+    if (!Number.isFinite(seconds)) return '';
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.round((seconds - minutes * 60) * 10) / 10;
+    return `${minutes}:${rest < 10 ? '0' : ''}${rest}`;
+}
+
+function formatSeconds(seconds) {
+    return Number.isFinite(seconds) ? String(Math.round(seconds * 1000) / 1000) : '';
+}
+
+function slideDuration(index) {
+    const { starts, lastDuration } = timingState;
+    return index < starts.length - 1 ? starts[index + 1] - starts[index] : lastDuration;
+}
+
+function renderTimingEditor() {
+    const { starts, mode } = timingState;
+    const rows = document.getElementById('timingRows');
+    rows.innerHTML = '';
+
+    starts.forEach((start, index) => {
+        const isLast = index === starts.length - 1;
+        const row = document.createElement('tr');
+        const backwards = index > 0 && !(start > starts[index - 1]);
+        if (backwards) row.classList.add('invalid');
+
+        const label = document.createElement('td');
+        label.textContent = index + 1;
+        row.appendChild(label);
+
+        // Slide 1 always starts the video
+        const startCell = document.createElement('td');
+        if (mode === 'timestamps' && index > 0) {
+            startCell.appendChild(timingInput(formatSeconds(start), value => setSlideStart(index, value)));
+        } else {
+            startCell.textContent = formatClock(start);
+        }
+        row.appendChild(startCell);
+
+        // The last slide's duration is its tail hold, typed in either mode
+        const durationCell = document.createElement('td');
+        if (mode === 'durations' || isLast) {
+            const placeholder = isLast ? 'default' : '';
+            durationCell.appendChild(timingInput(formatSeconds(slideDuration(index)), value => setSlideDuration(index, value), placeholder));
+        } else {
+            durationCell.textContent = backwards ? '–' : `${formatSeconds(slideDuration(index))}s`;
+        }
+        row.appendChild(durationCell);
+
+        const removeCell = document.createElement('td');
+        if (starts.length > 1) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'timing-remove';
+            remove.title = `Remove slide ${index + 1}`;
+            remove.textContent = '×';
+            remove.addEventListener('click', () => removeSlide(index));
+            removeCell.appendChild(remove);
+        }
+        row.appendChild(removeCell);
+
+        rows.appendChild(row);
+    });
+
+    renderTimingTotal();
+}
+
+function timingInput(value, onChange, placeholder = '') {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.inputMode = 'decimal';
+    input.value = value;
+    input.placeholder = placeholder;
+    input.addEventListener('change', () => onChange(input.value));
+    return input;
+}
+
+function renderTimingTotal() {
+    const { starts, lastDuration } = timingState;
+    const lastStart = starts[starts.length - 1];
+    const total = document.getElementById('timingTotal');
+    total.textContent = lastDuration
+        ? `${starts.length} slides, total runtime ${formatClock(lastStart + lastDuration)}`
+        : `${starts.length} slides, last slide comes up at ${formatClock(lastStart)} (plus its default hold)`;
+}
+
+// In timestamps mode only the slide itself moves; in durations mode every
+// later slide moves with it, which is what changing one duration means
+function setSlideStart(index, text) {
+    const value = parseClock(text);
+    if (Number.isFinite(value)) timingState.starts[index] = value;
+    renderTimingEditor();
+}
+
+function setSlideDuration(index, text) {
+    const { starts } = timingState;
+    if (index === starts.length - 1) {
+        const value = parseClock(text);
+        timingState.lastDuration = Number.isFinite(value) && value > 0 ? value : null;
+        renderTimingEditor();
+        return;
+    }
+
+    const value = parseClock(text);
+    if (Number.isFinite(value) && value > 0) {
+        const shift = value - slideDuration(index);
+        for (let i = index + 1; i < starts.length; i++) starts[i] += shift;
+    }
+    renderTimingEditor();
+}
+
+function addSlide() {
+    const { starts } = timingState;
+    const lastStart = starts[starts.length - 1];
+    // The new slide takes over the last one's hold, or a guess of 5s
+    starts.push(lastStart + (timingState.lastDuration || 5));
+    renderTimingEditor();
+}
+
+function removeSlide(index) {
+    const { starts } = timingState;
+    const duration = slideDuration(index);
+    starts.splice(index, 1);
+    // Later slides close the gap in durations mode, as if that slide never played
+    if (timingState.mode === 'durations' && index < starts.length && Number.isFinite(duration)) {
+        for (let i = index; i < starts.length; i++) starts[i] -= duration;
+    }
+    starts[0] = 0;
+    renderTimingEditor();
+}
+
+// Returns { timings, tailHold } for POST /record, or { error }
+function readTimingEditor() {
+    const { starts, lastDuration } = timingState;
+    if (starts.length < 2) {
+        return { error: 'Add at least two slides' };
+    }
+    const backwards = starts.findIndex((start, i) => i > 0 && !(start > starts[i - 1]));
+    if (backwards !== -1) {
+        return { error: `Slide ${backwards + 1} must come up after slide ${backwards}` };
+    }
+    return { timings: starts.slice(1), tailHold: lastDuration };
+}
+
+// Cue start times from SRT or WebVTT: cue N's start is when slide N comes
+// up and the last cue's end is when the video ends
+function parseCueTimings(text) {
+    const cues = [...text.matchAll(/((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/g)]
+        .map(([, start, end]) => ({ start: parseClock(start), end: parseClock(end) }));
+    if (cues.length === 0) return { error: 'No subtitle cues found' };
+
+    const last = cues[cues.length - 1];
+    return {
+        starts: [0, ...cues.slice(1).map(cue => cue.start)],
+        lastDuration: last.end > last.start ? last.end - last.start : null
+    };
+}
+
+// CSV: one row per slide (or per advance). A header naming the column says
+// what it holds (start/time/timestamp or duration/hold/length); without one
+// the last column is read the way the editor is currently showing timings.
+function parseCsvTimings(text, mode) {
+    const rows = text.split(/\r?\n/).map(line => line.split(/[,;\t]/).map(cell => cell.trim())).filter(row => row.some(Boolean));
+    if (rows.length === 0) return { error: 'The file is empty' };
+
+    let column = rows[0].length - 1;
+    let kind = mode;
+    if (rows[0].some(cell => cell && !Number.isFinite(parseClock(cell)))) {
+        const header = rows.shift().map(cell => cell.toLowerCase());
+        const startColumn = header.findIndex(cell => /start|time|timestamp|^at$/.test(cell));
+        const durationColumn = header.findIndex(cell => /duration|hold|length|seconds/.test(cell));
+        if (startColumn !== -1) {
+            column = startColumn;
+            kind = 'timestamps';
+        } else if (durationColumn !== -1) {
+            column = durationColumn;
+            kind = 'durations';
+        }
+    }
+
+    const values = rows.map(row => parseClock(row[column]));
+    const bad = values.findIndex(value => !Number.isFinite(value));
+    if (bad !== -1) return { error: `Row ${bad + 1} has no readable time: "${rows[bad][column] || ''}"` };
+    if (values.length === 0) return { error: 'No timings found' };
+
+    if (kind === 'durations') {
+        const starts = [0];
+        values.slice(0, -1).forEach(duration => starts.push(starts[starts.length - 1] + duration));
+        return { starts, lastDuration: values[values.length - 1] || null };
+    }
+    // Timestamps may list slide 1's start (0) or begin with the first advance
+    return { starts: values[0] === 0 ? values : [0, ...values], lastDuration: null };
+}
+
+function importTimings(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        const text = String(reader.result);
+        const isCues = /\.(srt|vtt)$/i.test(file.name) || /^WEBVTT/.test(text) || text.includes('-->');
+        const { starts, lastDuration, error } = isCues ? parseCueTimings(text) : parseCsvTimings(text, timingState.mode);
+        if (error) {
+            showError(`Could not import ${file.name}: ${error}`);
+            return;
+        }
+        timingState.starts = starts;
+        timingState.lastDuration = lastDuration;
+        renderTimingEditor();
+        showStatus(`Imported ${starts.length} slides from ${file.name}`, 'loading');
+    };
+    reader.readAsText(file);
+}
+
+document.querySelectorAll('input[name="timingMode"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+        timingState.mode = radio.value;
+        renderTimingEditor();
+    });
+});
+
+document.getElementById('addSlide').addEventListener('click', addSlide);
+
+document.getElementById('timingFile').addEventListener('change', (e) => {
+    if (e.target.files[0]) importTimings(e.target.files[0]);
+    // Let the same file be picked again after editing it
+    e.target.value = '';
+});
+
+renderTimingEditor();
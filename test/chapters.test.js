@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildSlideIndex, toWebVTT } = require('../lib/chapters');
+
+test('buildSlideIndex starts slide 1 at 0 and ends the last at the duration', () => {
+    assert.deepStrictEqual(buildSlideIndex([0.4, 5.0004, 9], 12), [
+        { slide: 1, title: 'Slide 1', start: 0, end: 5 },
+        { slide: 2, title: 'Slide 2', start: 5, end: 9 },
+        { slide: 3, title: 'Slide 3', start: 9, end: 12 }
+    ]);
+});
+
+test('buildSlideIndex drops slides past the end of a trimmed video', () => {
+    const slides = buildSlideIndex([0, 5, 9, 14], 10);
+    assert.strictEqual(slides.length, 3);
+    assert.strictEqual(slides[2].end, 10);
+});
+
+test('toWebVTT writes one chapter cue per slide', () => {
+    const vtt = toWebVTT([
+        { slide: 1, title: 'Slide 1', start: 0, end: 65.5 },
+        { slide: 2, title: 'Slide 2', start: 65.5, end: 3725.25 }
+    ]);
+    assert.strictEqual(vtt, [
+        'WEBVTT',
+        '',
+        '1',
+        '00:00:00.000 --> 00:01:05.500',
+        'Slide 1',
+        '',
+        '2',
+        '00:01:05.500 --> 01:02:05.250',
+        'Slide 2',
+        ''
+    ].join('\n'));
+});
@@ -0,0 +1,106 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { presentationId, readDeckTextFile } = require('../lib/deck-text');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deck-text-test-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const crc32 = (data) => {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (crc & 1 ? 0xedb88320 : 0);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// A ZIP of the given { name: text } parts, deflated unless stored is set.
+// The archive comment checks that the end record is searched for.
+const buildZip = (parts, { stored = false } = {}) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const [name, text] of Object.entries(parts)) {
+        const nameBytes = Buffer.from(name);
+        const raw = Buffer.from(text);
+        const data = stored ? raw : zlib.deflateRawSync(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(stored ? 0 : 8, 8);
+        local.writeUInt32LE(crc32(raw), 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(stored ? 0 : 8, 10);
+        central.writeUInt32LE(crc32(raw), 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const comment = Buffer.from('made by the tests');
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centrals.length / 2, 8);
+    end.writeUInt16LE(centrals.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    end.writeUInt16LE(comment.length, 20);
+    return Buffer.concat([...locals, directory, end, comment]);
+};
+
+const shape = (type, paragraphs) => `<p:sp><p:nvSpPr><p:nvPr><p:ph type="${type}"/></p:nvPr></p:nvSpPr><p:txBody>${
+    paragraphs.map(runs => `<a:p>${runs.map(run => `<a:r><a:t>${run}</a:t></a:r>`).join('')}</a:p>`).join('')
+}</p:txBody></p:sp>`;
+
+// Slides listed out of file order, the second without notes or a title
+const PPTX_PARTS = {
+    'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="257" r:id="rId3"/><p:sldId id="256" r:id="rId2"/></p:sldIdLst></p:presentation>',
+    'ppt/_rels/presentation.xml.rels': '<Relationships><Relationship Id="rId2" Type="slide" Target="slides/slide1.xml"/><Relationship Id="rId3" Type="slide" Target="/ppt/slides/slide2.xml"/></Relationships>',
+    'ppt/slides/slide1.xml': `<p:sld>${shape('body', [['Ignored']])}</p:sld>`,
+    'ppt/slides/slide2.xml': `<p:sld>${shape('ctrTitle', [['Welcome ', '&amp; hello']])}</p:sld>`,
+    'ppt/slides/_rels/slide2.xml.rels': '<Relationships><Relationship Id="rId1" Type="notesSlide" Target="../notesSlides/notesSlide7.xml"/></Relationships>',
+    'ppt/notesSlides/notesSlide7.xml': `<p:notes>${shape('body', [['Say hi'], ['Then &lt;pause&gt;']])}</p:notes>`
+};
+
+const writeDeck = (name, buffer) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+};
+
+test('presentationId comes from a Google Slides URL', () => {
+    assert.strictEqual(presentationId('https://docs.google.com/presentation/d/1AbC-d_9/edit#slide=id.p'), '1AbC-d_9');
+    assert.strictEqual(presentationId('https://example.com/deck'), null);
+});
+
+test('readDeckTextFile reads titles and notes in presentation order', async () => {
+    const expected = [
+        { title: 'Welcome & hello', notes: 'Say hi\nThen <pause>' },
+        { title: null, notes: null }
+    ];
+    assert.deepStrictEqual(await readDeckTextFile(writeDeck('deflated.pptx', buildZip(PPTX_PARTS))), expected);
+    assert.deepStrictEqual(await readDeckTextFile(writeDeck('stored.pptx', buildZip(PPTX_PARTS, { stored: true }))), expected);
+});
+
+test('readDeckTextFile gives null for a file that is not a ZIP', async () => {
+    assert.strictEqual(await readDeckTextFile(writeDeck('broken.pptx', Buffer.from('not a zip at all, just text'))), null);
+});
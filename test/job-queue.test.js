@@ -0,0 +1,160 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobQueue } = require('../lib/job-queue');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let stateFiles = 0;
+const newStateFile = () => path.join(tmpDir, `jobs-${++stateFiles}.json`);
+
+// Resolves with the job once it reaches status
+const reach = (queue, id, status) => new Promise(resolve => {
+    const check = () => {
+        if (queue.get(id).status !== status) return;
+        stop();
+        resolve(queue.get(id));
+    };
+    const stop = queue.subscribe(id, check);
+    check();
+});
+
+const savedJob = (id, status) => ({ id, status, params: { n: id }, progress: {}, result: null, error: null, createdAt: '2024-12-20T10:00:00.000Z' });
+
+test('jobs run in the order they were queued and are saved', async () => {
+    const stateFile = newStateFile();
+    const order = [];
+    const queue = createJobQueue({
+        stateFile,
+        worker: async (job, { setStatus }) => {
+            order.push(job.id);
+            setStatus('recording');
+            return { n: job.params.n };
+        }
+    });
+    queue.start();
+
+    queue.enqueue('a', { n: 1 });
+    queue.enqueue('b', { n: 2 });
+    assert.strictEqual(queue.position('b'), 1);
+
+    const b = await reach(queue, 'b', 'done');
+    assert.deepStrictEqual(order, ['a', 'b']);
+    assert.deepStrictEqual(b.result, { n: 2 });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')).map(job => job.status), ['done', 'done']);
+});
+
+test('a restart fails running jobs and runs queued ones', async () => {
+    const stateFile = newStateFile();
+    fs.writeFileSync(stateFile, JSON.stringify([
+        savedJob('interrupted', 'recording'),
+        savedJob('waiting', 'queued'),
+        savedJob('finished', 'done'),
+        { ...savedJob('owed', 'failed'), webhook: { status: 'pending' } }
+    ]));
+
+    const ran = [];
+    const queue = createJobQueue({
+        stateFile,
+        worker: async job => { ran.push(job.id); },
+        retain: job => Boolean(job.webhook)
+    });
+    queue.start();
+
+    const interrupted = queue.get('interrupted');
+    assert.strictEqual(interrupted.status, 'failed');
+    assert.strictEqual(interrupted.error, 'Interrupted by server restart');
+    assert.ok(interrupted.finishedAt);
+
+    // Finished jobs are dropped unless retain wants them
+    assert.strictEqual(queue.get('finished'), undefined);
+    assert.strictEqual(queue.get('owed').status, 'failed');
+
+    await reach(queue, 'waiting', 'done');
+    assert.deepStrictEqual(ran, ['waiting']);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')).map(job => job.id), ['interrupted', 'waiting', 'owed']);
+
+    // By the next start the interrupted job has been reported, and goes too
+    const restarted = createJobQueue({ stateFile, worker: async () => {}, retain: job => Boolean(job.webhook) });
+    restarted.start();
+    assert.deepStrictEqual(restarted.list().map(job => job.id), ['owed']);
+});
+
+test('an unreadable state file starts an empty queue', () => {
+    const stateFile = newStateFile();
+    fs.writeFileSync(stateFile, '[{"id": "a", "sta');
+    const queue = createJobQueue({ stateFile, worker: async () => {} });
+    queue.start();
+    assert.deepStrictEqual(queue.list(), []);
+});
+
+test('a failing worker fails its job and reports it', async () => {
+    const finished = [];
+    const queue = createJobQueue({
+        stateFile: newStateFile(),
+        worker: async () => { throw new Error('ffmpeg exited with code 1'); },
+        onFinish: job => finished.push(job.id)
+    });
+    queue.start();
+    queue.enqueue('a', {});
+
+    const job = await reach(queue, 'a', 'failed');
+    assert.strictEqual(job.error, 'ffmpeg exited with code 1');
+    assert.deepStrictEqual(finished, ['a']);
+    assert.strictEqual(queue.remove('a'), true);
+    assert.strictEqual(queue.get('a'), undefined);
+});
+
+test('cancelling a queued job drops it without running it', async () => {
+    const ran = [];
+    let started;
+    let release;
+    const running = new Promise(resolve => { started = resolve; });
+    const queue = createJobQueue({
+        stateFile: newStateFile(),
+        worker: async job => {
+            ran.push(job.id);
+            started();
+            await new Promise(resolve => { release = resolve; });
+        }
+    });
+    queue.start();
+    queue.enqueue('running', {});
+    queue.enqueue('waiting', {});
+    await running;
+
+    assert.strictEqual(queue.cancel('waiting'), true);
+    assert.strictEqual(queue.get('waiting').status, 'cancelled');
+    assert.strictEqual(queue.position('waiting'), -1);
+
+    release();
+    await reach(queue, 'running', 'done');
+    assert.deepStrictEqual(ran, ['running']);
+    assert.strictEqual(queue.cancel('running'), false);
+});
+
+test('cancelling a running job aborts its signal with the keepPartial choice', async () => {
+    let reason;
+    const queue = createJobQueue({
+        stateFile: newStateFile(),
+        worker: (job, { signal, setStatus }) => {
+            setStatus('recording');
+            return new Promise((resolve, reject) => signal.addEventListener('abort', () => {
+                reason = signal.reason;
+                reject(signal.reason);
+            }));
+        }
+    });
+    queue.start();
+    queue.enqueue('a', {});
+    await reach(queue, 'a', 'recording');
+
+    assert.strictEqual(queue.cancel('a', { keepPartial: true }), true);
+    const job = await reach(queue, 'a', 'cancelled');
+    assert.strictEqual(job.error, 'Recording cancelled');
+    assert.strictEqual(reason.keepPartial, true);
+    assert.strictEqual(queue.cancel('missing'), false);
+});
@@ -0,0 +1,99 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDeckSpec, loadManifest } = require('../lib/manifest');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const DECK_URL = 'https://docs.google.com/presentation/d/abc/edit';
+
+const writeFile = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+};
+
+test('parseDeckSpec fills in source, profile, display and output', () => {
+    const { deck, error } = parseDeckSpec({ name: 'intro', url: DECK_URL, timings: '5, 8' }, { baseDir: tmpDir });
+    assert.strictEqual(error, undefined);
+    assert.deepStrictEqual(deck, {
+        name: 'intro',
+        slideUrl: DECK_URL,
+        deckFile: null,
+        source: 'google-slides',
+        timings: [5, 8],
+        profile: 'mp4',
+        display: 'xvfb',
+        video: { width: 1920, height: 1080, fps: null, deviceScaleFactor: 1 },
+        tailHold: null,
+        outputPath: path.join(tmpDir, 'intro.mp4')
+    });
+});
+
+test('parseDeckSpec takes files relative to baseDir', () => {
+    writeFile('decks/talk.pdf', '%PDF-1.4');
+    const { deck } = parseDeckSpec({ file: 'decks/talk.pdf', timings: [3], output: 'talk.webm', profile: 'webm' }, { baseDir: tmpDir, outputDir: '/videos' });
+    assert.strictEqual(deck.deckFile, path.join(tmpDir, 'decks/talk.pdf'));
+    assert.strictEqual(deck.source, 'pdf');
+    assert.strictEqual(deck.name, 'talk.webm');
+    assert.strictEqual(deck.outputPath, '/videos/talk.webm');
+});
+
+test('parseDeckSpec rejects decks it cannot record', () => {
+    const error = (spec) => parseDeckSpec({ name: 'deck', timings: '5', ...spec }, { baseDir: tmpDir }).error;
+    assert.match(error({}), /either url or file/);
+    assert.match(error({ url: DECK_URL, file: 'talk.pdf' }), /either url or file/);
+    assert.match(error({ url: 'file:///etc/passwd', source: 'html' }), /Invalid url/);
+    assert.match(error({ file: 'missing.pdf' }), /does not exist/);
+    writeFile('talk.key', '');
+    assert.match(error({ file: 'talk.key' }), /Name it with source/);
+    assert.match(error({ file: 'talk.key', source: 'google-slides' }), /needs a url/);
+    assert.match(error({ url: DECK_URL, timings: '8, 5' }), /must increase/);
+    assert.match(error({ url: DECK_URL, profile: 'avi' }), /Invalid profile/);
+    assert.match(error({ url: DECK_URL, display: 'vnc' }), /Invalid display/);
+    assert.match(error({ url: DECK_URL, width: '1921' }), /even numbers/);
+    assert.match(error({ url: DECK_URL, tailHold: '-1' }), /Invalid tailHold/);
+    assert.match(parseDeckSpec({ url: DECK_URL, timings: '5' }).error, /output path, or a name/);
+    assert.match(parseDeckSpec(['deck']).error, /mapping of settings/);
+});
+
+test('loadManifest applies defaults and outputDir to every deck', () => {
+    const manifestPath = writeFile('batch/decks.yaml', [
+        'outputDir: out',
+        'defaults:',
+        '  profile: webm',
+        '  timings: [4, 9]',
+        'decks:',
+        `  - url: ${DECK_URL}`,
+        `  - name: closing`,
+        `    url: ${DECK_URL}`,
+        '    profile: mp4-silent',
+        '    timings: "6"'
+    ].join('\n'));
+
+    const { decks, error } = loadManifest(manifestPath);
+    assert.strictEqual(error, undefined);
+    assert.deepStrictEqual(decks.map(deck => [deck.name, deck.profile, deck.timings, deck.outputPath]), [
+        ['deck-1', 'webm', [4, 9], path.join(tmpDir, 'batch/out/deck-1.webm')],
+        ['closing', 'mp4-silent', [6], path.join(tmpDir, 'batch/out/closing.mp4')]
+    ]);
+
+    const overridden = loadManifest(manifestPath, { outputDir: path.join(tmpDir, 'elsewhere') });
+    assert.strictEqual(overridden.decks[0].outputPath, path.join(tmpDir, 'elsewhere/deck-1.webm'));
+});
+
+test('loadManifest reads a bare JSON list', () => {
+    const manifestPath = writeFile('list.json', JSON.stringify([{ name: 'one', url: DECK_URL, timings: [2] }]));
+    assert.deepStrictEqual(loadManifest(manifestPath).decks.map(deck => deck.outputPath), [path.join(tmpDir, 'one.mp4')]);
+});
+
+test('loadManifest names the deck that is wrong', () => {
+    assert.match(loadManifest(path.join(tmpDir, 'missing.yaml')).error, /Could not read manifest/);
+    assert.match(loadManifest(writeFile('empty.yaml', 'decks: []')).error, /lists no decks/);
+    assert.match(loadManifest(writeFile('bad.yaml', `- name: ok\n  url: ${DECK_URL}\n  timings: "5"\n- name: broken\n  url: ${DECK_URL}\n  timings: "x"`)).error, /^Deck 2 \(broken\): Invalid timings/);
+    assert.match(loadManifest(writeFile('clash.yaml', `- name: a\n  url: ${DECK_URL}\n  timings: "5"\n  output: same.mp4\n- name: b\n  url: ${DECK_URL}\n  timings: "5"\n  output: same.mp4`)).error, /^Deck 2 \(b\): writes to .*same\.mp4, as a does/);
+});
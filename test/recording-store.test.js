@@ -0,0 +1,111 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseRecordingQuery, createRecordingStore } = require('../lib/recording-store');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-store-test-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const record = (recordingId, fields) => ({
+    recordingId,
+    status: 'done',
+    created: '2024-12-20T10:00:00.000Z',
+    duration: 10,
+    source: { url: `https://docs.google.com/presentation/d/${recordingId}/edit` },
+    ...fields
+});
+
+const openStore = (name) => {
+    const store = createRecordingStore({ file: path.join(tmpDir, name) });
+    store.open();
+    return store;
+};
+
+test('parseRecordingQuery fills in defaults', () => {
+    assert.deepStrictEqual(parseRecordingQuery({}), {
+        query: {
+            sourceUrl: null,
+            statuses: null,
+            from: null,
+            to: null,
+            sort: { field: 'created', descending: true },
+            limit: 50,
+            offset: 0
+        }
+    });
+});
+
+test('parseRecordingQuery reads filters, sort and page', () => {
+    const { query } = parseRecordingQuery({
+        sourceUrl: 'Docs.Google',
+        status: 'failed, cancelled,',
+        from: '2024-12-01',
+        to: '2024-12-20',
+        sort: 'duration',
+        limit: '10',
+        offset: '20'
+    });
+    assert.strictEqual(query.sourceUrl, 'docs.google');
+    assert.deepStrictEqual(query.statuses, ['failed', 'cancelled']);
+    assert.strictEqual(query.from.toISOString(), '2024-12-01T00:00:00.000Z');
+    // A bare date as the upper bound takes in that whole day
+    assert.strictEqual(query.to.toISOString(), '2024-12-20T23:59:59.999Z');
+    assert.deepStrictEqual(query.sort, { field: 'duration', descending: false });
+    assert.strictEqual(query.limit, 10);
+    assert.strictEqual(query.offset, 20);
+});
+
+test('parseRecordingQuery rejects bad values', () => {
+    assert.match(parseRecordingQuery({ status: 'done,completed' }).error, /Invalid status completed/);
+    assert.match(parseRecordingQuery({ from: 'yesterday' }).error, /Invalid from/);
+    assert.match(parseRecordingQuery({ sort: '-title' }).error, /Invalid sort/);
+    assert.match(parseRecordingQuery({ limit: '0' }).error, /Invalid limit/);
+    assert.match(parseRecordingQuery({ limit: '501' }).error, /Invalid limit/);
+    assert.match(parseRecordingQuery({ offset: '-1' }).error, /Invalid offset/);
+});
+
+test('query filters, sorts with nulls last and pages', () => {
+    const store = openStore('query.jsonl');
+    store.put(record('a', { created: '2024-12-18T09:00:00.000Z', duration: 30 }));
+    store.put(record('b', { created: '2024-12-20T23:30:00.000Z', status: 'failed', duration: null }));
+    store.put(record('c', { created: '2024-12-21T08:00:00.000Z', duration: 5, source: { deck: 'Quarterly.pptx' } }));
+    store.put(record('d', { created: '2024-12-19T12:00:00.000Z', duration: 12 }));
+
+    const ids = (params) => store.query(parseRecordingQuery(params).query).page.map(match => match.recordingId);
+
+    assert.deepStrictEqual(ids({}), ['c', 'b', 'd', 'a']);
+    assert.deepStrictEqual(ids({ sort: 'duration' }), ['c', 'd', 'a', 'b']);
+    assert.deepStrictEqual(ids({ sort: '-duration' }), ['a', 'd', 'c', 'b']);
+    assert.deepStrictEqual(ids({ status: 'failed' }), ['b']);
+    assert.deepStrictEqual(ids({ sourceUrl: 'quarterly' }), ['c']);
+    assert.deepStrictEqual(ids({ from: '2024-12-19', to: '2024-12-20' }), ['b', 'd']);
+
+    const { total, page } = store.query(parseRecordingQuery({ limit: '2', offset: '1' }).query);
+    assert.strictEqual(total, 4);
+    assert.deepStrictEqual(page.map(match => match.recordingId), ['b', 'd']);
+});
+
+test('the last line for an id wins when the store is reopened', () => {
+    const store = openStore('reopen.jsonl');
+    store.put(record('a', { status: 'recording' }));
+    store.put(record('b'));
+    store.put(record('a', { status: 'failed' }));
+    assert.strictEqual(store.remove('b'), true);
+    assert.strictEqual(store.remove('missing'), false);
+
+    const reopened = openStore('reopen.jsonl');
+    assert.strictEqual(reopened.get('a').status, 'failed');
+    assert.strictEqual(reopened.has('b'), false);
+    // Superseded lines and tombstones are compacted away on open
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'reopen.jsonl'), 'utf8').trim().split('\n').length, 1);
+});
+
+test('a line cut short by a crash is skipped', () => {
+    const file = path.join(tmpDir, 'torn.jsonl');
+    fs.writeFileSync(file, `${JSON.stringify(record('a'))}\n{"recordingId":"b","sta`);
+    const store = openStore('torn.jsonl');
+    assert.strictEqual(store.has('a'), true);
+    assert.strictEqual(store.has('b'), false);
+});
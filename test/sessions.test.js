@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SESSION_NAME_PATTERN, normalizeCookies } = require('../lib/sessions');
+
+test('normalizeCookies keeps what Puppeteer needs and fills in path', () => {
+    const { cookies } = normalizeCookies([{ name: 'SID', value: 'abc', domain: '.google.com', secure: 1, expires: 1900000000, extra: 'dropped' }]);
+    assert.deepStrictEqual(cookies, [{
+        name: 'SID',
+        value: 'abc',
+        domain: '.google.com',
+        path: '/',
+        secure: true,
+        httpOnly: false,
+        expires: 1900000000
+    }]);
+});
+
+test('normalizeCookies reads browser extension exports', () => {
+    const { cookies } = normalizeCookies({
+        cookies: [
+            { name: 'a', value: '1', domain: 'docs.google.com', path: '/presentation', httpOnly: true, expirationDate: 1900000000.5, sameSite: 'no_restriction' },
+            { name: 'b', value: '2', domain: 'docs.google.com', session: true, expirationDate: 0, sameSite: 'unspecified' }
+        ]
+    });
+    assert.deepStrictEqual(cookies[0], {
+        name: 'a',
+        value: '1',
+        domain: 'docs.google.com',
+        path: '/presentation',
+        secure: false,
+        httpOnly: true,
+        expires: 1900000000.5,
+        sameSite: 'None'
+    });
+    // Session cookies have no expiry, and an unknown sameSite is left to Chrome
+    assert.strictEqual('expires' in cookies[1], false);
+    assert.strictEqual('sameSite' in cookies[1], false);
+});
+
+test('normalizeCookies rejects anything that is not a list of cookies', () => {
+    assert.match(normalizeCookies({}).error, /non-empty JSON array/);
+    assert.match(normalizeCookies([]).error, /non-empty JSON array/);
+    assert.match(normalizeCookies([{ name: 'a', value: '1' }]).error, /name, value and domain/);
+    assert.match(normalizeCookies([null]).error, /name, value and domain/);
+});
+
+test('session names are safe as directory names', () => {
+    assert.ok(SESSION_NAME_PATTERN.test('work_account-2'));
+    assert.ok(!SESSION_NAME_PATTERN.test('../etc'));
+    assert.ok(!SESSION_NAME_PATTERN.test(''));
+    assert.ok(!SESSION_NAME_PATTERN.test('a'.repeat(65)));
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { advanceSlide, playBuild } = require('../lib/slide-advance');
+
+// A deck as the adapter and the page see it. Each press runs the next entry
+// of presses, which changes what the deck shows.
+const fakeDeck = ({ slideId = 's1', picture = 'a', presses = [] }) => {
+    const deck = { slideId, ended: false, picture, screenshots: [] };
+    const page = {
+        viewport: () => ({ width: 1920, height: 1080 }),
+        screenshot: async (options) => {
+            deck.screenshots.push(options);
+            return Buffer.from(deck.picture);
+        }
+    };
+    const source = {
+        readState: async () => ({ slideId: deck.slideId, ended: deck.ended }),
+        next: async () => presses.shift()(deck)
+    };
+    return { deck, page, source, signal: new AbortController().signal };
+};
+
+test('a new slide id ends the wait without another screenshot', async () => {
+    const { deck, page, source, signal } = fakeDeck({ presses: [deck => { deck.slideId = 's2'; }] });
+    const advance = await advanceSlide(page, source, signal);
+    assert.deepStrictEqual([advance.outcome, advance.presses, advance.slideId], ['slide', 1, 's2']);
+    assert.strictEqual(deck.screenshots.length, 1);
+    assert.strictEqual(deck.screenshots[0].captureBeyondViewport, false);
+});
+
+test('an animation step is found by one screenshot at the deadline', async () => {
+    const { deck, page, source, signal } = fakeDeck({
+        presses: [deck => { deck.picture = 'b'; }, deck => { deck.slideId = 's2'; }]
+    });
+    const advance = await advanceSlide(page, source, signal);
+    assert.deepStrictEqual([advance.outcome, advance.presses, advance.slideId], ['slide', 2, 's2']);
+    // Before the first press, and once when it settled
+    assert.strictEqual(deck.screenshots.length, 2);
+    assert.ok(deck.screenshots.every(options => options.captureBeyondViewport === false));
+});
+
+test('decks without slide ids are told apart by the picture', async () => {
+    const { page, source, signal } = fakeDeck({
+        slideId: null,
+        presses: [deck => { deck.picture = 'b'; }, () => {}]
+    });
+    assert.strictEqual((await playBuild(page, source, signal)).outcome, 'build');
+    assert.strictEqual((await advanceSlide(page, source, signal)).outcome, 'none');
+});
+
+test('the end screen ends the wait', async () => {
+    const { page, source, signal } = fakeDeck({ presses: [deck => { deck.ended = true; }] });
+    assert.strictEqual((await advanceSlide(page, source, signal)).outcome, 'end');
+});
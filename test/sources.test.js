@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SOURCE_NAMES, getSource, detectSource, checkDeckUrl } = require('../lib/sources');
+
+test('every source is there by name', () => {
+    assert.deepStrictEqual(SOURCE_NAMES, ['google-slides', 'html', 'pdf', 'pptx']);
+    assert.strictEqual(getSource().name, 'google-slides');
+    assert.strictEqual(getSource('keynote'), null);
+});
+
+test('detectSource tells decks apart by address', () => {
+    assert.strictEqual(detectSource({ url: 'https://docs.google.com/presentation/d/abc/edit' }), 'google-slides');
+    assert.strictEqual(detectSource({ url: 'https://example.com/talk.PDF?dl=1' }), 'pdf');
+    assert.strictEqual(detectSource({ url: 'https://example.com/talk/' }), 'html');
+    assert.strictEqual(detectSource({ url: 'ftp://example.com/talk.pdf' }), null);
+});
+
+test('detectSource tells uploads apart by type or name', () => {
+    assert.strictEqual(detectSource({ upload: { originalname: 'talk.pptx' } }), 'pptx');
+    assert.strictEqual(detectSource({ upload: { originalname: 'blob', mimetype: 'application/pdf' } }), 'pdf');
+    assert.strictEqual(detectSource({ upload: { originalname: 'talk.key' } }), null);
+    assert.strictEqual(detectSource({}), null);
+});
+
+test('checkDeckUrl allows only web addresses', () => {
+    assert.strictEqual(checkDeckUrl(null), null);
+    assert.strictEqual(checkDeckUrl('https://docs.google.com/presentation/d/abc/edit'), null);
+    assert.strictEqual(checkDeckUrl('http://localhost:8080/deck.html'), null);
+    for (const url of ['file:///etc/passwd', 'chrome://settings', 'data:text/html,<h1>hi</h1>', 'javascript:alert(1)', 'not a url']) {
+        assert.strictEqual(checkDeckUrl(url), 'Invalid slideUrl. Must be an http(s) URL.', url);
+    }
+});
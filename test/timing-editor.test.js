@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// public/timing-editor.js is a plain browser script: run it against just
+// enough of a DOM for it to load, and read its functions off the globals
+const element = () => ({
+    classList: { add: () => {} },
+    appendChild: () => {},
+    addEventListener: () => {},
+    innerHTML: '',
+    textContent: ''
+});
+const editor = vm.createContext({
+    document: {
+        getElementById: element,
+        createElement: element,
+        querySelectorAll: () => []
+    }
+});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../public/timing-editor.js'), 'utf8'), editor);
+
+// Results come from another realm, so compare them as plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('parseClock reads seconds and clock times', () => {
+    assert.strictEqual(editor.parseClock('75'), 75);
+    assert.strictEqual(editor.parseClock('7,5'), 7.5);
+    assert.strictEqual(editor.parseClock('1:15'), 75);
+    assert.strictEqual(editor.parseClock('0:01:15.5'), 75.5);
+    assert.ok(Number.isNaN(editor.parseClock('soon')));
+});
+
+test('parseCueTimings takes slide starts from SRT cues', () => {
+    const srt = [
+        '1', '00:00:00,000 --> 00:00:04,500', 'Welcome', '',
+        '2', '00:00:05,000 --> 00:00:09,000', 'Agenda', '',
+        '3', '00:00:12,250 --> 00:00:15,000', 'Thanks', ''
+    ].join('\n');
+    assert.deepStrictEqual(plain(editor.parseCueTimings(srt)), { starts: [0, 5, 12.25], lastDuration: 2.75 });
+});
+
+test('parseCueTimings reads WebVTT cues without hours', () => {
+    const vtt = 'WEBVTT\n\n00:01.000 --> 00:04.000\nOne\n\n01:06.000 --> 01:06.000\nTwo\n';
+    assert.deepStrictEqual(plain(editor.parseCueTimings(vtt)), { starts: [0, 66], lastDuration: null });
+    assert.deepStrictEqual(plain(editor.parseCueTimings('WEBVTT\n\nnothing here')), { error: 'No subtitle cues found' });
+});
+
+test('parseCsvTimings follows a header naming the column', () => {
+    assert.deepStrictEqual(plain(editor.parseCsvTimings('slide,duration\n1,5\n2,3\n3,4', 'timestamps')), { starts: [0, 5, 8], lastDuration: 4 });
+    assert.deepStrictEqual(plain(editor.parseCsvTimings('slide;start\n1;0:00\n2;0:05\n3;1:10', 'durations')), { starts: [0, 5, 70], lastDuration: null });
+});
+
+test('parseCsvTimings reads bare values the way the editor shows them', () => {
+    assert.deepStrictEqual(plain(editor.parseCsvTimings('5\n8\n12\n', 'timestamps')), { starts: [0, 5, 8, 12], lastDuration: null });
+    assert.deepStrictEqual(plain(editor.parseCsvTimings('0\r\n5\r\n8', 'timestamps')), { starts: [0, 5, 8], lastDuration: null });
+    assert.deepStrictEqual(plain(editor.parseCsvTimings('5\n3\n4', 'durations')), { starts: [0, 5, 8], lastDuration: 4 });
+});
+
+test('parseCsvTimings names the row it cannot read', () => {
+    assert.deepStrictEqual(plain(editor.parseCsvTimings('slide,start\n1,0:00\n2,x', 'durations')), { error: 'Row 2 has no readable time: "x"' });
+    assert.deepStrictEqual(plain(editor.parseCsvTimings('\n\n', 'durations')), { error: 'The file is empty' });
+    assert.deepStrictEqual(plain(editor.parseCsvTimings('slide,start', 'durations')), { error: 'No timings found' });
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTimings, validateTimings, parseTailHold, buildSchedule, slideCount } = require('../lib/timings');
+
+test('parseTimings reads comma lists, JSON arrays and arrays', () => {
+    assert.deepStrictEqual(parseTimings('5, 8,12'), [5, 8, 12]);
+    assert.deepStrictEqual(parseTimings('[{"hold": 4}]'), [{ hold: 4 }]);
+    assert.deepStrictEqual(parseTimings([3, 6]), [3, 6]);
+    assert.strictEqual(parseTimings('[5,'), null);
+    assert.strictEqual(parseTimings(5), null);
+});
+
+test('validateTimings wants increasing positive timestamps', () => {
+    assert.strictEqual(validateTimings([5, 8, 12]), null);
+    assert.match(validateTimings([5, 0, 12]), /positive numbers/);
+    assert.match(validateTimings([5, NaN]), /positive numbers/);
+    assert.match(validateTimings([5, 3]), /3s comes after 5s/);
+    assert.match(validateTimings([5, 5]), /must increase/);
+    // Arrays are objects too, but never slide entries
+    assert.match(validateTimings([[1]]), /positive numbers/);
+    assert.match(validateTimings([{ hold: 5 }, [1]]), /positive numbers/);
+});
+
+test('validateTimings checks holds and builds of structured timings', () => {
+    assert.strictEqual(validateTimings([{ hold: 5, builds: [1, 2] }, { builds: [3] }]), null);
+    assert.match(validateTimings([{ builds: [1] }, { hold: 4 }]), /Slide 1 needs a positive hold/);
+    assert.match(validateTimings([{ hold: 5, builds: 2 }]), /must be an array/);
+    assert.match(validateTimings([{ hold: 5, builds: [2, 1] }]), /positive and increasing/);
+    assert.match(validateTimings([{ hold: 5, builds: [5] }, { hold: 1 }]), /comes after its 5s hold/);
+});
+
+test('buildSchedule turns timestamps into slide changes', () => {
+    const { steps, lastHold, lastBuild } = buildSchedule([5, 8]);
+    assert.deepStrictEqual(steps, [
+        { at: 5, type: 'slide', slide: 2 },
+        { at: 8, type: 'slide', slide: 3 }
+    ]);
+    assert.strictEqual(lastHold, null);
+    assert.strictEqual(lastBuild, 0);
+    assert.strictEqual(slideCount(steps), 3);
+});
+
+test('buildSchedule places builds from the start of their slide', () => {
+    const { steps, lastHold, lastBuild } = buildSchedule([
+        { hold: 5, builds: [1.5] },
+        { hold: 4, builds: [1, 2] },
+        { hold: 6, builds: [3] }
+    ]);
+    assert.deepStrictEqual(steps, [
+        { at: 1.5, type: 'build', slide: 1 },
+        { at: 5, type: 'slide', slide: 2 },
+        { at: 6, type: 'build', slide: 2 },
+        { at: 7, type: 'build', slide: 2 },
+        { at: 9, type: 'slide', slide: 3 },
+        { at: 12, type: 'build', slide: 3 }
+    ]);
+    assert.strictEqual(lastHold, 6);
+    assert.strictEqual(lastBuild, 3);
+    assert.strictEqual(slideCount(steps), 3);
+});
+
+test('parseTailHold accepts nothing or a positive number', () => {
+    assert.deepStrictEqual(parseTailHold(undefined), { tailHold: null });
+    assert.deepStrictEqual(parseTailHold(''), { tailHold: null });
+    assert.deepStrictEqual(parseTailHold('2.5'), { tailHold: 2.5 });
+    assert.ok(parseTailHold('0').error);
+    assert.ok(parseTailHold('soon').error);
+});
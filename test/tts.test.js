@@ -0,0 +1,45 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getTtsProvider, synthesizeSlides } = require('../lib/tts');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-test-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Seconds of audio in one of the mono 16-bit WAVs the stub writes
+const wavSeconds = (filePath) => {
+    const wav = fs.readFileSync(filePath);
+    assert.strictEqual(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.strictEqual(wav.toString('ascii', 8, 12), 'WAVE');
+    return wav.readUInt32LE(40) / wav.readUInt32LE(28);
+};
+
+test('the stub provider needs no command', () => {
+    assert.strictEqual(getTtsProvider('stub').command, null);
+    assert.strictEqual(getTtsProvider('festival'), null);
+});
+
+test('synthesizeSlides writes one clip per slide with the stub provider', async () => {
+    const texts = ['One two three four five', '   ', null, 'Hi'];
+    const clipPaths = await synthesizeSlides(texts, index => path.join(tmpDir, `slide-${index}.wav`), {
+        provider: 'stub',
+        signal: new AbortController().signal
+    });
+
+    assert.deepStrictEqual(clipPaths, texts.map((text, index) => path.join(tmpDir, `slide-${index}.wav`)));
+    // Five words at the stub's 2.5 a second, a 3s hold for slides without
+    // notes, and at least a second for anything said at all
+    assert.deepStrictEqual(clipPaths.map(wavSeconds), [2, 3, 3, 1]);
+});
+
+test('synthesizeSlides stops once aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(
+        synthesizeSlides(['Hello'], index => path.join(tmpDir, `aborted-${index}.wav`), { provider: 'stub', signal: controller.signal }),
+        { name: 'AbortError' }
+    );
+    assert.strictEqual(fs.existsSync(path.join(tmpDir, 'aborted-0.wav')), false);
+});
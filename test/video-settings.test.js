@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_VIDEO, parseVideoSettings, displayGeometry } = require('../lib/video-settings');
+
+test('parseVideoSettings keeps the defaults for fields left out', () => {
+    assert.deepStrictEqual(parseVideoSettings({}), { video: DEFAULT_VIDEO });
+    assert.deepStrictEqual(parseVideoSettings({ width: '', fps: undefined }), { video: DEFAULT_VIDEO });
+});
+
+test('parseVideoSettings reads numbers sent as strings', () => {
+    assert.deepStrictEqual(parseVideoSettings({ width: '1280', height: '720', fps: '25', deviceScaleFactor: '1.5' }), {
+        video: { width: 1280, height: 720, fps: 25, deviceScaleFactor: 1.5 }
+    });
+    // Portrait 4K is as big as landscape 4K
+    assert.deepStrictEqual(parseVideoSettings({ width: 2160, height: 3840 }).video, { ...DEFAULT_VIDEO, width: 2160, height: 3840 });
+});
+
+test('parseVideoSettings rejects sizes and rates it cannot record', () => {
+    assert.match(parseVideoSettings({ width: '100' }).error, /Invalid width. Must be a number between 320 and 3840/);
+    assert.match(parseVideoSettings({ fps: 'fast' }).error, /Invalid fps/);
+    assert.match(parseVideoSettings({ fps: '29.97' }).error, /Invalid fps. Must be a whole number/);
+    assert.match(parseVideoSettings({ deviceScaleFactor: '5' }).error, /Invalid deviceScaleFactor/);
+    assert.match(parseVideoSettings({ width: '1281' }).error, /even numbers/);
+    assert.match(parseVideoSettings({ width: 3840, height: 3840 }).error, /larger than 4K/);
+});
+
+test('displayGeometry lays Chrome out at the size divided by the scale factor', () => {
+    assert.deepStrictEqual(displayGeometry({ width: 3840, height: 2160, fps: null, deviceScaleFactor: 2 }), {
+        resolution: '3840x2160',
+        captureFps: 30,
+        windowSize: '1920,1080',
+        viewport: { width: 1920, height: 1080, deviceScaleFactor: 2 }
+    });
+    assert.strictEqual(displayGeometry({ ...DEFAULT_VIDEO, fps: 12 }).captureFps, 12);
+});
@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { signBody } = require('../lib/webhooks');
+
+test('signBody signs the exact body with HMAC-SHA256', () => {
+    // Receivers check it the same way: an HMAC of the raw body with their secret
+    const body = JSON.stringify({ event: 'recording.completed', recordingId: 'abc' });
+    const expected = crypto.createHmac('sha256', 'shh').update(body).digest('hex');
+    assert.strictEqual(signBody(body, 'shh'), `sha256=${expected}`);
+});
+
+test('signBody changes with the body and with the secret', () => {
+    assert.strictEqual(signBody('', 'key'), 'sha256=5d5d139563c95b5967b9bd9a8c9b233a9dedb45072794cd232dc1b74832607d0');
+    assert.notStrictEqual(signBody('{"a":1}', 'key'), signBody('{"a": 1}', 'key'));
+    assert.notStrictEqual(signBody('{"a":1}', 'key'), signBody('{"a":1}', 'other'));
+});